@@ -0,0 +1,195 @@
+"use strict";
+/**
+ * Compares the throughput of BufferWriter against the previous
+ * implementation, which allocated a small Buffer for every value and
+ * joined them all at the end.
+ *
+ *   npm run benchmark
+ */
+
+var BufferReader, BufferWriter, compression, crc32, encryption, errors, scenarios;
+
+/**
+ * The BufferWriter before it used a single growable Buffer.  Only the
+ * methods used by the benchmarks are included.
+ */
+class ListBufferWriter {
+    constructor() {
+        this.bufferList = [];
+        this.references = null;
+        this.strings = null;
+    }
+
+    buffer(buff) {
+        this.bufferList.push(buff);
+    }
+
+    double(val) {
+        var buff;
+
+        buff = Buffer.alloc(8);
+        buff.writeDoubleBE(val);
+        this.bufferList.push(buff);
+    }
+
+    size(s) {
+        if (s < 0x7F) {
+            return this.uint8(s);
+        }
+
+        if (s < 0x3FFF) {
+            return this.uint16(s | 0x8000);
+        }
+
+        return this.uint32(s + 0xC0000000);
+    }
+
+    string(str) {
+        this.bufferList.push(Buffer.from(str, "binary"));
+    }
+
+    toBuffer() {
+        return Buffer.concat(this.bufferList);
+    }
+
+    uint8(val) {
+        var buff;
+
+        buff = Buffer.alloc(1);
+        buff.writeUInt8(val);
+        this.bufferList.push(buff);
+    }
+
+    uint16(val) {
+        var buff;
+
+        buff = Buffer.alloc(2);
+        buff.writeUInt16BE(val);
+        this.bufferList.push(buff);
+    }
+
+    uint32(val) {
+        var buff;
+
+        buff = Buffer.alloc(4);
+        buff.writeUInt32BE(val);
+        this.bufferList.push(buff);
+    }
+
+    utf8String(str) {
+        this.bufferList.push(Buffer.from(str, "utf8"));
+    }
+}
+
+
+/**
+ * Builds a BufferSerializer class that uses the given writer.
+ *
+ * @param {Function} Writer
+ * @return {Function} BufferSerializer
+ */
+function makeSerializer(Writer) {
+    var StreamDecoder, StreamEncoder;
+
+    StreamDecoder = require("../lib/stream-decoder")(BufferReader, errors);
+    StreamEncoder = require("../lib/stream-encoder")(Writer);
+
+    return require("../lib/serializer")(BufferReader, Writer, StreamDecoder, StreamEncoder, errors, crc32, compression, encryption);
+}
+
+
+/**
+ * Runs a function repeatedly for about a second and reports how many
+ * times per second it ran.
+ *
+ * @param {string} name
+ * @param {Function} fn
+ */
+function measure(name, fn) {
+    var count, elapsed, start;
+
+    // Warm up
+    fn();
+    fn();
+    count = 0;
+    start = process.hrtime();
+
+    do {
+        fn();
+        count += 1;
+        elapsed = process.hrtime(start);
+        elapsed = elapsed[0] + elapsed[1] / 1e9;
+    } while (elapsed < 1);
+
+    console.log("    " + name + ": " + (count / elapsed).toFixed(1) + " ops/sec");
+}
+
+crc32 = require("../lib/crc32")();
+errors = require("../lib/errors")();
+compression = require("../lib/compression")(require("zlib"), errors);
+encryption = require("../lib/encryption")(require("crypto"), errors);
+BufferReader = require("../lib/buffer-reader")(errors);
+BufferWriter = require("../lib/buffer-writer")(errors);
+scenarios = {
+    "100,000 small integers": (() => {
+        var i, list;
+
+        list = [];
+
+        for (i = 0; i < 100000; i += 1) {
+            list.push(i % 1000);
+        }
+
+        return list;
+    })(),
+    "10,000 records": (() => {
+        var i, list;
+
+        list = [];
+
+        for (i = 0; i < 10000; i += 1) {
+            list.push({
+                id: i,
+                name: "record " + i,
+                score: i / 7,
+                active: i % 2 === 0
+            });
+        }
+
+        return list;
+    })(),
+    "1,000 strings of 1 kB": (() => {
+        var i, list;
+
+        list = [];
+
+        for (i = 0; i < 1000; i += 1) {
+            list.push("x".repeat(1024));
+        }
+
+        return list;
+    })()
+};
+[
+    {
+        name: "list of Buffers (previous)",
+        serializer: new (makeSerializer(ListBufferWriter))()
+    },
+    {
+        name: "growable Buffer",
+        serializer: new (makeSerializer(BufferWriter))()
+    },
+    {
+        name: "growable Buffer with pool",
+        serializer: new (makeSerializer(BufferWriter))({
+            pool: true
+        })
+    }
+].forEach((candidate) => {
+    console.log(candidate.name);
+    Object.keys(scenarios).forEach((scenarioName) => {
+        measure(scenarioName, () => {
+            candidate.serializer.toBuffer(scenarios[scenarioName]);
+        });
+    });
+});
@@ -1,22 +1,95 @@
 "use strict";
+/*global BigInt*/
 /**
  * Helper to assist with reading a buffer.  Contains methods that will
  * read specific types that mirror BufferWriter.
  */
 
-module.exports = function () {
+module.exports = function (errors) {
     class BufferReader {
         /**
          * Loads an existing buffer into the BufferReader.  Optionally, you
          * may specify the byte that indicates the starting point of the
          * buffer.
          *
+         * The reader also remembers every object and array that was
+         * decoded, in order, so later references can point back to them.
+         * Interned strings are remembered the same way.  The path lists
+         * the property names, indices and Map keys that lead to the value
+         * being read, for errors.  The version of the format is set by
+         * BufferSerializer when it reads the header.
+         *
+         * The limits protect against untrusted input that claims to have
+         * huge strings, deeply nested values or endless lists.  They all
+         * default to Infinity.
+         *
          * @param {Buffer} buff
          * @param {number} [offset=0]
+         * @param {Object} [options]
+         * @param {boolean} [options.copy=false] When enabled, buffers that
+         *   are read are copies.  Otherwise they share memory with the
+         *   buffer that is being read.
+         * @param {number} [options.maxBufferLength] Longest Buffer,
+         *   typed array or BigInt, in bytes.
+         * @param {number} [options.maxBytes] Most bytes that may be read,
+         *   starting from the offset.
+         * @param {number} [options.maxDecompressedBytes=16777216] Longest
+         *   value after it was decompressed, in bytes.
+         * @param {number} [options.maxDepth] Deepest nesting of arrays,
+         *   objects, Maps, Sets and helpers.
+         * @param {number} [options.maxElements] Most entries in any one
+         *   array, object, Map or Set.
+         * @param {number} [options.maxStringLength] Longest string, in
+         *   bytes.
+         * @param {boolean} [options.strict=false] When enabled, there may
+         *   not be any bytes after the value.  See BufferSerializer's
+         *   fromBuffer().
+         * @throws {InvalidDataError} when the offset is not in the buffer
          */
-        constructor(buff, offset) {
+        constructor(buff, offset, options) {
+            this.options = Object.assign({
+                copy: false,
+                maxBufferLength: Infinity,
+                maxBytes: Infinity,
+                maxDecompressedBytes: 16777216,
+                maxDepth: Infinity,
+                maxElements: Infinity,
+                maxStringLength: Infinity,
+                strict: false
+            }, options);
             this.readBuffer = buff;
             this.offset = +offset || 0;
+            this.start = this.offset;
+            this.depth = 0;
+            this.path = [];
+            this.version = 0;
+            this.references = [];
+            this.strings = [];
+
+            if (!(this.offset >= 0 && this.offset <= buff.length) || this.offset % 1) {
+                throw new errors.InvalidDataError("Invalid offset: " + offset, this.offset);
+            }
+        }
+
+
+        /**
+         * Reads a BigInt that was written by BufferWriter's bigint().
+         * There is a sign, a size and then the big-endian magnitude.
+         *
+         * @return {BigInt}
+         */
+        bigint() {
+            var hex, negative, val;
+
+            negative = this.uint8() === 0x2D; // -
+            hex = this.buffer(this.size()).toString("hex");
+            val = BigInt("0x" + (hex || "0"));
+
+            if (negative) {
+                return -val;
+            }
+
+            return val;
         }
 
 
@@ -28,19 +101,42 @@ module.exports = function () {
          *
          *   buff = bufferReader.buffer(bufferReader.size());
          *
+         * Unless the copy option is enabled, the returned buffer shares
+         * memory with the buffer being read.  Changing one changes both.
+         *
          * @param {number} length
          * @return {Buffer}
          */
         buffer(length) {
             var buff;
 
+            this.checkLimit("maxBufferLength", length);
+            this.ensure(length);
             buff = this.readBuffer.slice(this.offset, this.offset + length);
             this.offset += length;
 
+            if (this.options.copy) {
+                return Buffer.from(buff);
+            }
+
             return buff;
         }
 
 
+        /**
+         * Confirms a value is within one of the limits from the options.
+         *
+         * @param {string} name
+         * @param {number} value
+         * @throws {LimitExceededError} when the value is above the limit
+         */
+        checkLimit(name, value) {
+            if (value > this.options[name]) {
+                throw new errors.LimitExceededError(name, this.offset, this.path);
+            }
+        }
+
+
         /**
          * Reads an 8-byte big-endian double.
          *
@@ -49,6 +145,7 @@ module.exports = function () {
         double() {
             var val;
 
+            this.ensure(8);
             val = this.readBuffer.readDoubleBE(this.offset);
             this.offset += 8;
 
@@ -56,13 +153,29 @@ module.exports = function () {
         }
 
 
+        /**
+         * Confirms there are enough bytes left in the buffer to read the
+         * requested length and that the read stays within maxBytes.
+         *
+         * @param {number} length
+         * @throws {TruncatedError} when reading beyond the end of the buffer
+         */
+        ensure(length) {
+            this.checkLimit("maxBytes", this.offset + length - this.start);
+
+            if (this.offset + length > this.readBuffer.length) {
+                throw new errors.TruncatedError("Unexpected end of stream", this.offset, this.path, this.offset + length);
+            }
+        }
+
+
         /**
          * Look at the current byte but do not increment the offset.  This
          * lets us investigate what we should do in order to decode the
          * next chunk that's in the buffer.
          *
          * @return {number}
-         * @throws {Error} when reading beyond the end of the buffer
+         * @throws {TruncatedError} when reading beyond the end of the buffer
          */
         peek() {
             var val;
@@ -70,7 +183,7 @@ module.exports = function () {
             val = this.readBuffer[this.offset];
 
             if (val === undefined) {
-                throw new Error("Unexpected end of stream");
+                throw new errors.TruncatedError("Unexpected end of stream", this.offset, this.path, this.offset + 1);
             }
 
             return val;
@@ -92,7 +205,7 @@ module.exports = function () {
          * This can be extended when necessary.
          *
          * @return {number}
-         * @throws {Error} when initial byte doesn't match an expected pattern
+         * @throws {InvalidDataError} when initial byte doesn't match an expected pattern
          */
         size() {
             var b;
@@ -111,7 +224,7 @@ module.exports = function () {
                 return this.uint32() & 0x1FFFFFFF;
             }
 
-            throw new Error("Invalid size encountered: " + b);
+            throw new errors.InvalidDataError("Invalid size encountered: " + b, this.offset, this.path);
         }
 
 
@@ -138,6 +251,8 @@ module.exports = function () {
         string(length) {
             var buff;
 
+            this.checkLimit("maxStringLength", length);
+            this.ensure(length);
             buff = this.readBuffer.slice(this.offset, this.offset + length);
             this.offset += length;
 
@@ -153,6 +268,7 @@ module.exports = function () {
         uint8() {
             var v;
 
+            this.ensure(1);
             v = this.readBuffer.readUInt8(this.offset);
             this.offset += 1;
 
@@ -168,6 +284,7 @@ module.exports = function () {
         uint16() {
             var v;
 
+            this.ensure(2);
             v = this.readBuffer.readUInt16BE(this.offset);
             this.offset += 2;
 
@@ -183,11 +300,63 @@ module.exports = function () {
         uint32() {
             var v;
 
+            this.ensure(4);
             v = this.readBuffer.readUInt32BE(this.offset);
             this.offset += 4;
 
             return v;
         }
+
+
+        /**
+         * Reads a 48-bit big-endian unsigned integer.
+         *
+         * @return {number}
+         */
+        uint48() {
+            var v;
+
+            this.ensure(6);
+            v = this.readBuffer.readUIntBE(this.offset, 6);
+            this.offset += 6;
+
+            return v;
+        }
+
+
+        /**
+         * Reads a 56-bit big-endian unsigned integer.
+         *
+         * @return {number}
+         */
+        uint56() {
+            var high;
+
+            high = this.uint8() * 0x1000000000000;
+
+            return high + this.uint48();
+        }
+
+
+        /**
+         * Reads a UTF-8 encoded string.  The length is the number of
+         * bytes, not the number of characters.
+         *
+         *   str = bufferReader.utf8String(bufferReader.size());
+         *
+         * @param {number} length
+         * @return {string}
+         */
+        utf8String(length) {
+            var buff;
+
+            this.checkLimit("maxStringLength", length);
+            this.ensure(length);
+            buff = this.readBuffer.slice(this.offset, this.offset + length);
+            this.offset += length;
+
+            return buff.toString("utf8");
+        }
     }
 
     return BufferReader;
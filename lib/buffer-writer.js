@@ -4,20 +4,68 @@
  * read specific types that mirror BufferReader.
  */
 
-module.exports = function () {
+module.exports = function (errors) {
     class BufferWriter {
         /**
-         * Creates a new BufferWriter, which is essentially an array of
-         * Buffers and a few methods to help you add to the list of buffers.
+         * Creates a new BufferWriter, which is a single Buffer that grows
+         * as needed and a few methods to help you write to it.  Values are
+         * written at the end, which is tracked by length.
+         *
+         * When references is set to a Map, objects and arrays are added
+         * to it as they are written so repeated ones can be written as
+         * references.  BufferSerializer sets this up when needed.
+         * Likewise, strings is a Map of interned strings when property
+         * names should only be written once.
+         *
+         * The path lists the property names, indices and Map keys that
+         * lead to the value being written, for errors.  BufferSerializer
+         * sets the version of the format that is being written.
+         *
+         * @param {number} [size=256] Initial number of bytes to allocate
          */
-        constructor() {
-            this.bufferList = [];
+        constructor(size) {
+            this.data = Buffer.allocUnsafe(size || 256);
+            this.length = 0;
+            this.path = [];
+            this.references = null;
+            this.strings = null;
+            this.version = 0;
         }
 
 
         /**
-         * Adds a buffer to the list.  This does not encode the length.
-         * You will typically want to write code like this:
+         * Adds a BigInt.  This is written as a sign ("+" or "-"), the
+         * size of the magnitude (see size()), then the magnitude as
+         * big-endian bytes.  Zero has a magnitude with no bytes.
+         *
+         * @param {BigInt} val
+         */
+        bigint(val) {
+            var hex;
+
+            if (val < 0) {
+                this.uint8(0x2D); // -
+                val = -val;
+            } else {
+                this.uint8(0x2B); // +
+            }
+
+            hex = val.toString(16);
+
+            if (hex === "0") {
+                hex = "";
+            } else if (hex.length % 2) {
+                hex = "0" + hex;
+            }
+
+            this.size(hex.length / 2);
+            this.buffer(Buffer.from(hex, "hex"));
+        }
+
+
+        /**
+         * Copies a buffer.  This does not encode the length.  You will
+         * typically want to write code like this:
          *
          *   bufferWriter.size(buff.length);
          *   bufferWriter.buffer(buff);
@@ -25,7 +73,9 @@ module.exports = function () {
          * @param {Buffer} buff
          */
         buffer(buff) {
-            this.bufferList.push(buff);
+            this.reserve(buff.length);
+            buff.copy(this.data, this.length);
+            this.length += buff.length;
         }
 
 
@@ -35,11 +85,43 @@ module.exports = function () {
          * @param {number} val
          */
         double(val) {
-            var buff;
+            this.reserve(8);
+            this.data.writeDoubleBE(val, this.length);
+            this.length += 8;
+        }
+
+
+        /**
+         * Makes sure there is room for more bytes.  When there is not
+         * enough room, a larger Buffer is allocated and the written bytes
+         * are copied to it.  The size at least doubles to keep the number
+         * of copies low.
+         *
+         * @param {number} length
+         */
+        reserve(length) {
+            var data;
 
-            buff = Buffer.alloc(8);
-            buff.writeDoubleBE(val);
-            this.bufferList.push(buff);
+            if (this.length + length <= this.data.length) {
+                return;
+            }
+
+            data = Buffer.allocUnsafe(Math.max(this.data.length * 2, this.length + length));
+            this.data.copy(data, 0, 0, this.length);
+            this.data = data;
+        }
+
+
+        /**
+         * Forgets everything that was written so the writer can be used
+         * again.  The allocated memory is kept.
+         */
+        reset() {
+            this.length = 0;
+            this.path = [];
+            this.version = 0;
+            this.references = null;
+            this.strings = null;
         }
 
 
@@ -49,12 +131,12 @@ module.exports = function () {
          * uint32.  It's limited to a range of 0 to 0x1FFFFFFF.
          *
          * @param {number} s
-         * @throws {Error} when negative
-         * @throws {Error} when excessively large
+         * @throws {InvalidSizeError} when negative
+         * @throws {InvalidSizeError} when excessively large
          */
         size(s) {
             if (s < 0) {
-                throw new Error("Sizes must be positive");
+                throw new errors.InvalidSizeError("Sizes must be positive", this.length, this.path);
             }
 
             if (s < 0x7F) {
@@ -70,7 +152,7 @@ module.exports = function () {
                 return this.uint32(s + 0xC0000000);
             }
 
-            throw new Error("Can not encode size; too large: " + s);
+            throw new errors.InvalidSizeError("Can not encode size; too large: " + s, this.length, this.path);
         }
 
 
@@ -85,17 +167,21 @@ module.exports = function () {
          * @param {string} str
          */
         string(str) {
-            this.bufferList.push(Buffer.from(str, "binary"));
+            this.reserve(str.length);
+            this.data.write(str, this.length, str.length, "binary");
+            this.length += str.length;
         }
 
 
         /**
-         * Converts the internal array of buffers into a single Buffer.
+         * Returns the written bytes as a Buffer.  This shares memory with
+         * the writer, so copy it before calling reset() when the result
+         * needs to be kept.
          *
          * @return {Buffer}
          */
         toBuffer() {
-            return Buffer.concat(this.bufferList);
+            return this.data.slice(0, this.length);
         }
 
 
@@ -105,11 +191,9 @@ module.exports = function () {
          * @param {number} val
          */
         uint8(val) {
-            var buff;
-
-            buff = Buffer.alloc(1);
-            buff.writeUInt8(val);
-            this.bufferList.push(buff);
+            this.reserve(1);
+            this.data.writeUInt8(val, this.length);
+            this.length += 1;
         }
 
 
@@ -119,11 +203,9 @@ module.exports = function () {
          * @param {number} val
          */
         uint16(val) {
-            var buff;
-
-            buff = Buffer.alloc(2);
-            buff.writeUInt16BE(val);
-            this.bufferList.push(buff);
+            this.reserve(2);
+            this.data.writeUInt16BE(val, this.length);
+            this.length += 2;
         }
 
 
@@ -133,11 +215,57 @@ module.exports = function () {
          * @param {number} val
          */
         uint32(val) {
-            var buff;
+            this.reserve(4);
+            this.data.writeUInt32BE(val, this.length);
+            this.length += 4;
+        }
+
+
+        /**
+         * Writes an unsigned big-endian 48-bit integer.
+         *
+         * @param {number} val
+         */
+        uint48(val) {
+            this.reserve(6);
+            this.data.writeUIntBE(val, this.length, 6);
+            this.length += 6;
+        }
+
+
+        /**
+         * Writes an unsigned big-endian 56-bit integer.  JavaScript can
+         * only represent integers exactly up to 2^53, which is the
+         * largest value that should be written with this.
+         *
+         * @param {number} val
+         */
+        uint56(val) {
+            var high;
+
+            high = Math.floor(val / 0x1000000000000);
+            this.uint8(high);
+            this.uint48(val - high * 0x1000000000000);
+        }
+
+
+        /**
+         * Adds a string to the buffer using UTF-8.  Does not add the
+         * length, which is the number of bytes and not the number of
+         * characters.  Normally you would use the method like this:
+         *
+         *   bufferWriter.size(Buffer.byteLength(str, "utf8"));
+         *   bufferWriter.utf8String(str);
+         *
+         * @param {string} str
+         */
+        utf8String(str) {
+            var length;
 
-            buff = Buffer.alloc(4);
-            buff.writeUInt32BE(val);
-            this.bufferList.push(buff);
+            length = Buffer.byteLength(str, "utf8");
+            this.reserve(length);
+            this.data.write(str, this.length, length, "utf8");
+            this.length += length;
         }
     }
 
@@ -0,0 +1,241 @@
+"use strict";
+/**
+ * Compresses and decompresses serialized values with Node's zlib.  Each
+ * algorithm has a number that is stored in the buffer, so only add to
+ * the end of the list.
+ */
+
+module.exports = function (zlib, errors) {
+    var algorithms, limitsOutput;
+
+    /**
+     * The position in this list is the number that is stored.  Zero is
+     * not used.
+     */
+    algorithms = [
+        null,
+        {
+            compress: zlib.deflateRaw,
+            compressSync: zlib.deflateRawSync,
+            decompress: zlib.inflateRaw,
+            decompressSync: zlib.inflateRawSync,
+            name: "deflate"
+        },
+        {
+            compress: zlib.brotliCompress,
+            compressSync: zlib.brotliCompressSync,
+            decompress: zlib.brotliDecompress,
+            decompressSync: zlib.brotliDecompressSync,
+            name: "brotli"
+        }
+    ];
+
+    /**
+     * Node before 12.19 ignores maxOutputLength.  When the option works,
+     * this tiny output is over the limit.
+     */
+    try {
+        zlib.inflateRawSync(zlib.deflateRawSync(Buffer.alloc(2)), {
+            maxOutputLength: 1
+        });
+        limitsOutput = false;
+    } catch (err) {
+        limitsOutput = true;
+    }
+
+
+    /**
+     * Finds an algorithm by its stored number.
+     *
+     * @param {number} id
+     * @return {Object}
+     * @throws {InvalidDataError} when the algorithm is not known
+     * @throws {Error} when this version of Node does not have it
+     */
+    function byId(id) {
+        if (!algorithms[id]) {
+            throw new errors.InvalidDataError("Unknown compression algorithm: " + id);
+        }
+
+        checkSupported(algorithms[id]);
+
+        return algorithms[id];
+    }
+
+
+    /**
+     * Confirms that the output can be limited.  Without the limit,
+     * compressed data could grow into something huge, so it is not
+     * decompressed at all.
+     *
+     * @param {number} maxLength
+     * @throws {Error} when this version of Node can not limit the output
+     */
+    function checkLimitsOutput(maxLength) {
+        if (maxLength < Infinity && !limitsOutput) {
+            throw new Error("Decompressing with a limit needs Node 12.19 or later");
+        }
+    }
+
+
+    /**
+     * Confirms that this version of Node has an algorithm.  Brotli was
+     * added in Node 10.16 and 11.7.
+     *
+     * @param {Object} algorithm
+     * @throws {Error} when it is missing
+     */
+    function checkSupported(algorithm) {
+        if (!algorithm.compress) {
+            throw new Error("Compression algorithm is not supported by this version of Node: " + algorithm.name);
+        }
+    }
+
+
+    /**
+     * Changes errors from zlib into the library's errors.  Going over
+     * the maximum length is a limit, anything else means the data was
+     * not compressed correctly.
+     *
+     * @param {Error} err
+     * @param {string} limitName Option that set the maximum length
+     * @return {BufferSerializerError}
+     */
+    function convertError(err, limitName) {
+        if (err.code === "ERR_BUFFER_TOO_LARGE") {
+            return new errors.LimitExceededError(limitName);
+        }
+
+        return new errors.InvalidDataError("Unable to decompress: " + err.message);
+    }
+
+
+    /**
+     * Options for decompressing.  Decompressed data can be far larger
+     * than the compressed data, so the output is limited.
+     *
+     * @param {number} maxLength
+     * @return {Object}
+     */
+    function decompressOptions(maxLength) {
+        if (maxLength < Infinity) {
+            return {
+                maxOutputLength: Math.max(maxLength, 1)
+            };
+        }
+
+        return {};
+    }
+
+    return {
+        /**
+         * Compresses a buffer.
+         *
+         * @param {number} id Stored number of the algorithm
+         * @param {Buffer} buff
+         * @param {Function(Error,Buffer)} callback
+         */
+        compress: (id, buff, callback) => {
+            byId(id).compress(buff, callback);
+        },
+
+
+        /**
+         * Compresses a buffer.
+         *
+         * @param {number} id Stored number of the algorithm
+         * @param {Buffer} buff
+         * @return {Buffer}
+         */
+        compressSync: (id, buff) => {
+            return byId(id).compressSync(buff);
+        },
+
+
+        /**
+         * Decompresses a buffer.
+         *
+         * @param {number} id Stored number of the algorithm
+         * @param {Buffer} buff
+         * @param {number} maxLength Longest allowed result
+         * @param {string} limitName Option that set maxLength, for errors
+         * @param {Function(Error,Buffer)} callback
+         */
+        decompress: (id, buff, maxLength, limitName, callback) => {
+            var algorithm;
+
+            try {
+                algorithm = byId(id);
+                checkLimitsOutput(maxLength);
+            } catch (err) {
+                return process.nextTick(callback, err);
+            }
+
+            algorithm.decompress(buff, decompressOptions(maxLength), (err, result) => {
+                if (err) {
+                    return callback(convertError(err, limitName));
+                }
+
+                return callback(null, result);
+            });
+        },
+
+
+        /**
+         * Decompresses a buffer.
+         *
+         * @param {number} id Stored number of the algorithm
+         * @param {Buffer} buff
+         * @param {number} maxLength Longest allowed result
+         * @param {string} limitName Option that set maxLength, for errors
+         * @return {Buffer}
+         * @throws {BufferSerializerError} when the data can not be
+         *   decompressed
+         * @throws {Error} when this version of Node can not limit the
+         *   length
+         */
+        decompressSync: (id, buff, maxLength, limitName) => {
+            var algorithm;
+
+            algorithm = byId(id);
+            checkLimitsOutput(maxLength);
+
+            try {
+                return algorithm.decompressSync(buff, decompressOptions(maxLength));
+            } catch (err) {
+                throw convertError(err, limitName);
+            }
+        },
+
+
+        /**
+         * Looks up the stored number of an algorithm.
+         *
+         * @param {string} name "deflate" or "brotli"
+         * @return {number}
+         * @throws {Error} when the algorithm is not known or this version
+         *   of Node does not have it
+         */
+        id: (name) => {
+            var i;
+
+            for (i = 1; i < algorithms.length; i += 1) {
+                if (algorithms[i].name === name) {
+                    checkSupported(algorithms[i]);
+
+                    return i;
+                }
+            }
+
+            throw new Error("Unknown compression algorithm: " + name);
+        },
+
+
+        /**
+         * True when this version of Node can limit how long the
+         * decompressed data is.  Without that, only decompressing
+         * without a limit works.
+         */
+        limitsOutput: limitsOutput
+    };
+}
@@ -0,0 +1,56 @@
+"use strict";
+/**
+ * CRC-32, the same checksum that zlib and PNG use.  Detects accidental
+ * changes to data, such as corruption in storage or transit.  It does
+ * not protect against intentional changes.
+ */
+
+module.exports = function () {
+    var table;
+
+    /**
+     * Lookup table for every value of a byte.
+     */
+    table = [];
+
+    (() => {
+        var c, i, k;
+
+        for (i = 0; i < 256; i += 1) {
+            c = i;
+
+            for (k = 0; k < 8; k += 1) {
+                if (c & 1) {
+                    c = 0xEDB88320 ^ (c >>> 1);
+                } else {
+                    c = c >>> 1;
+                }
+            }
+
+            table.push(c >>> 0);
+        }
+    })();
+
+    /**
+     * Calculates the checksum of a buffer.  To calculate the checksum of
+     * data that is in several buffers, pass the checksum of the earlier
+     * buffers as the previous checksum.
+     *
+     *   crc = crc32(second, crc32(first));
+     *
+     * @param {Buffer} buff
+     * @param {number} [previous=0]
+     * @return {number} Unsigned 32-bit checksum
+     */
+    return function crc32(buff, previous) {
+        var crc, i;
+
+        crc = (previous || 0) ^ 0xFFFFFFFF;
+
+        for (i = 0; i < buff.length; i += 1) {
+            crc = table[(crc ^ buff[i]) & 0xFF] ^ (crc >>> 8);
+        }
+
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    };
+}
@@ -0,0 +1,112 @@
+"use strict";
+/**
+ * Seals serialized values with AES-GCM from Node's crypto.  Sealed data
+ * is encrypted and authenticated, so it can not be read without the key
+ * and any change to it is detected.  The size of the key chooses
+ * AES-128, AES-192 or AES-256.
+ */
+
+module.exports = function (crypto, errors) {
+    var ivLength, tagLength;
+
+    /**
+     * Lengths of the initialization vector and the authentication tag,
+     * in bytes.
+     */
+    ivLength = 12;
+    tagLength = 16;
+
+    /**
+     * Name of the cipher for a key.
+     *
+     * @param {Buffer} key
+     * @return {string}
+     */
+    function cipherName(key) {
+        return "aes-" + key.length * 8 + "-gcm";
+    }
+
+    return {
+        /**
+         * Confirms that a key can be used.
+         *
+         * @param {Buffer} key
+         * @throws {Error} when the key is not a Buffer of 16, 24 or 32
+         *   bytes
+         */
+        checkKey: (key) => {
+            if (!Buffer.isBuffer(key) || [
+                16,
+                24,
+                32
+            ].indexOf(key.length) === -1) {
+                throw new Error("Key must be a Buffer of 16, 24 or 32 bytes");
+            }
+        },
+
+
+        ivLength: ivLength,
+
+
+        /**
+         * Decrypts sealed data and confirms that neither it nor the
+         * additional data were changed.
+         *
+         * @param {Buffer} key
+         * @param {Object} sealed From seal()
+         * @param {Buffer} aad Additional data that was authenticated
+         * @param {number} [offset] Where the sealed data starts, for errors
+         * @return {Buffer}
+         * @throws {TamperedError} when the data was changed or the key is
+         *   wrong
+         */
+        open: (key, sealed, aad, offset) => {
+            var decipher;
+
+            try {
+                decipher = crypto.createDecipheriv(cipherName(key), key, sealed.iv);
+                decipher.setAAD(aad);
+                decipher.setAuthTag(sealed.tag);
+
+                return Buffer.concat([
+                    decipher.update(sealed.ciphertext),
+                    decipher.final()
+                ]);
+            } catch (err) {
+                throw new errors.TamperedError(offset);
+            }
+        },
+
+
+        /**
+         * Encrypts data with a new, random initialization vector.  The
+         * additional data is not encrypted but any change to it is
+         * detected by open().
+         *
+         * @param {Buffer} key
+         * @param {Buffer} plaintext
+         * @param {Buffer} aad Additional data to authenticate
+         * @return {{ciphertext: Buffer, iv: Buffer, tag: Buffer}}
+         */
+        seal: (key, plaintext, aad) => {
+            var cipher, ciphertext, iv;
+
+            iv = crypto.randomBytes(ivLength);
+            cipher = crypto.createCipheriv(cipherName(key), key, iv);
+            cipher.setAAD(aad);
+            ciphertext = Buffer.concat([
+                cipher.update(plaintext),
+                cipher.final()
+            ]);
+
+            return {
+                ciphertext: ciphertext,
+                iv: iv,
+                tag: cipher.getAuthTag()
+            };
+        },
+
+
+        tagLength: tagLength
+    };
+}
@@ -0,0 +1,229 @@
+"use strict";
+/**
+ * Errors that are thrown when encoding or decoding fails.  They all
+ * extend BufferSerializerError, which records where the problem was
+ * found, and each one has a code that does not change between
+ * versions.
+ */
+
+module.exports = function () {
+    class BufferSerializerError extends Error {
+        /**
+         * The offset is the position in the buffer being read when
+         * decoding, or the number of bytes written so far when encoding.
+         * The path is the list of property names, indices and Map keys
+         * that lead from the top value to the one with the problem.
+         *
+         * @param {string} message
+         * @param {number} [offset]
+         * @param {Array} [path]
+         */
+        constructor(message, offset, path) {
+            super(message);
+            this.name = this.constructor.name;
+            this.code = "ESERIALIZER";
+            this.offset = offset;
+            this.path = path ? path.slice() : [];
+        }
+    }
+
+    class ChecksumError extends BufferSerializerError {
+        /**
+         * The checksum that was stored does not match the data, so the
+         * data was changed after it was written.
+         *
+         * @param {number} expected Checksum that was stored
+         * @param {number} actual Checksum of the data
+         * @param {number} [offset]
+         * @param {Array} [path]
+         */
+        constructor(expected, actual, offset, path) {
+            super("Checksum does not match", offset, path);
+            this.code = "ECHECKSUM";
+            this.actual = actual;
+            this.expected = expected;
+        }
+    }
+
+    class InvalidDataError extends BufferSerializerError {
+        /**
+         * The buffer does not contain what the type code says it should,
+         * such as a reference to something that was not decoded yet.
+         *
+         * @param {string} message
+         * @param {number} [offset]
+         * @param {Array} [path]
+         */
+        constructor(message, offset, path) {
+            super(message, offset, path);
+            this.code = "EINVALID";
+        }
+    }
+
+    class InvalidSizeError extends BufferSerializerError {
+        /**
+         * A size is negative or too large to be written.
+         *
+         * @param {string} message
+         * @param {number} [offset]
+         * @param {Array} [path]
+         */
+        constructor(message, offset, path) {
+            super(message, offset, path);
+            this.code = "ESIZE";
+        }
+    }
+
+    class InvalidVersionError extends BufferSerializerError {
+        /**
+         * The buffer starts with a version that is not supported.
+         *
+         * @param {number} version
+         * @param {number} [offset]
+         * @param {Array} [path]
+         */
+        constructor(version, offset, path) {
+            super("Invalid version identifier", offset, path);
+            this.code = "EVERSION";
+            this.version = version;
+        }
+    }
+
+    class LimitExceededError extends BufferSerializerError {
+        /**
+         * The data goes beyond one of the BufferReader's limits.
+         *
+         * @param {string} limit Name of the option
+         * @param {number} [offset]
+         * @param {Array} [path]
+         */
+        constructor(limit, offset, path) {
+            super("Limit exceeded: " + limit, offset, path);
+            this.code = "ELIMIT";
+            this.limit = limit;
+        }
+    }
+
+    class TamperedError extends BufferSerializerError {
+        /**
+         * Sealed data could not be decrypted.  It was changed after it
+         * was written or the key for its key id is not the one that
+         * sealed it.
+         *
+         * @param {number} [offset] Where the sealed data starts
+         * @param {Array} [path]
+         */
+        constructor(offset, path) {
+            super("Sealed data was tampered with or the key is wrong", offset, path);
+            this.code = "ETAMPERED";
+        }
+    }
+
+    class TrailingDataError extends BufferSerializerError {
+        /**
+         * There are more bytes after the value when decoding in strict
+         * mode.
+         *
+         * @param {number} [offset] Where the extra bytes start
+         * @param {Array} [path]
+         */
+        constructor(offset, path) {
+            super("Unexpected data after the value", offset, path);
+            this.code = "ETRAILING";
+        }
+    }
+
+    class TruncatedError extends BufferSerializerError {
+        /**
+         * The data ends in the middle of a value.  StreamDecoder uses
+         * this to tell that more data is needed and how much.
+         *
+         * @param {string} message
+         * @param {number} [offset]
+         * @param {Array} [path]
+         * @param {number} [needed] Length the data must have for the
+         *   read that failed, when known
+         */
+        constructor(message, offset, path, needed) {
+            super(message, offset, path);
+            this.code = "ETRUNCATED";
+            this.needed = needed;
+        }
+    }
+
+    class UnknownHelperError extends BufferSerializerError {
+        /**
+         * The data uses a custom helper that was not registered.
+         *
+         * @param {string} helperName
+         * @param {number} [offset]
+         * @param {Array} [path]
+         */
+        constructor(helperName, offset, path) {
+            super("Serialized data uses custom helper but it is not defined: " + helperName, offset, path);
+            this.code = "EUNKNOWNHELPER";
+            this.helperName = helperName;
+        }
+    }
+
+    class UnknownKeyError extends BufferSerializerError {
+        /**
+         * The data is sealed with a key id that is not in the keys.
+         *
+         * @param {string} keyId
+         * @param {number} [offset]
+         * @param {Array} [path]
+         */
+        constructor(keyId, offset, path) {
+            super("Serialized data is sealed but the key is not defined: " + keyId, offset, path);
+            this.code = "EUNKNOWNKEY";
+            this.keyId = keyId;
+        }
+    }
+
+    class UnknownTypeCodeError extends BufferSerializerError {
+        /**
+         * The data has a type code that is not known.
+         *
+         * @param {number} typeCode
+         * @param {number} [offset]
+         * @param {Array} [path]
+         */
+        constructor(typeCode, offset, path) {
+            super("Unable to deserialize string, unknown code: " + typeCode, offset, path);
+            this.code = "EUNKNOWNTYPE";
+            this.typeCode = typeCode;
+        }
+    }
+
+    class UnsupportedTypeError extends BufferSerializerError {
+        /**
+         * The value can not be encoded, such as a function or a symbol.
+         *
+         * @param {string} type
+         * @param {number} [offset]
+         * @param {Array} [path]
+         */
+        constructor(type, offset, path) {
+            super("Invalid type: " + type, offset, path);
+            this.code = "EUNSUPPORTED";
+            this.type = type;
+        }
+    }
+
+    return {
+        BufferSerializerError: BufferSerializerError,
+        ChecksumError: ChecksumError,
+        InvalidDataError: InvalidDataError,
+        InvalidSizeError: InvalidSizeError,
+        InvalidVersionError: InvalidVersionError,
+        LimitExceededError: LimitExceededError,
+        TamperedError: TamperedError,
+        TrailingDataError: TrailingDataError,
+        TruncatedError: TruncatedError,
+        UnknownHelperError: UnknownHelperError,
+        UnknownKeyError: UnknownKeyError,
+        UnknownTypeCodeError: UnknownTypeCodeError,
+        UnsupportedTypeError: UnsupportedTypeError
+    };
+}
@@ -6,10 +6,16 @@
  * facilitate far easier testing.
  */
 
-var BufferReader, BufferWriter, serializer;
+var BufferReader, BufferWriter, compression, crc32, encryption, errors, serializer, StreamDecoder, StreamEncoder;
 
-BufferReader = require("./buffer-reader")();
-BufferWriter = require("./buffer-writer")();
-serializer = require("./serializer")(BufferReader, BufferWriter);
+crc32 = require("./crc32")();
+errors = require("./errors")();
+compression = require("./compression")(require("zlib"), errors);
+encryption = require("./encryption")(require("crypto"), errors);
+BufferReader = require("./buffer-reader")(errors);
+BufferWriter = require("./buffer-writer")(errors);
+StreamDecoder = require("./stream-decoder")(BufferReader, errors);
+StreamEncoder = require("./stream-encoder")(BufferWriter);
+serializer = require("./serializer")(BufferReader, BufferWriter, StreamDecoder, StreamEncoder, errors, crc32, compression, encryption);
 
 module.exports = serializer;
@@ -1,4 +1,5 @@
 "use strict";
+/*global ArrayBuffer, Map, Set, Uint16Array, Uint8Array*/
 
 /**
  * Serializer - turn things into Buffers
@@ -6,13 +7,326 @@
 
 /**
  * @typedef {Object} BufferSerializer~helper
- * @property {Function} checkFn Determines if a value is of this type
+ * @property {?Function} checkFn Determines if a value is of this type
  * @property {Function} fromBufferFn
  * @property {string} name Name as it appears in the serialized buffer
+ * @property {?Object} prototype Objects with exactly this prototype use
+ *   this helper without calling checkFn
+ * @property {?number} tag Written instead of the name when set
  * @property {Function} toBufferFn
+ * @property {string} type The typeof values that checkFn is given
  */
 
-module.exports = function (BufferReader, BufferWriter) {
+module.exports = function (BufferReader, BufferWriter, StreamDecoder, StreamEncoder, errors, crc32, compression, encryption) {
+    var formats, hostIsLittleEndian, viewKinds;
+
+    /**
+     * Versions of the format.  The version is the position in this list
+     * and it is stored in the header, so only add to the end.  Every
+     * version can be read.  Each one lists what it changes.
+     *
+     *   regExpFlags: RegExp flags that are kept, in the order of their
+     *     bits.  Other flags are lost.
+     *   utf8: "s" strings, RegExp patterns and custom object names are
+     *     UTF-8 instead of one byte per character.
+     *   wideIntegers: integers from 2^32 up to the safe limit are "q",
+     *     "Q", "j" and "J" instead of "d".
+     */
+    formats = [
+        // Version 0, the original format
+        {
+            regExpFlags: "gim",
+            utf8: false,
+            wideIntegers: false
+        },
+
+        // Version 1
+        {
+            regExpFlags: "gimsuydv",
+            utf8: true,
+            wideIntegers: true
+        }
+    ];
+
+    /**
+     * Raw bytes of typed arrays are stored little-endian.  When the host
+     * is big-endian the bytes need to be swapped.
+     */
+    hostIsLittleEndian = new Uint8Array(new Uint16Array([ 1 ]).buffer)[0] === 1;
+
+    /**
+     * Types that are written with "V".  The position in this list is the
+     * kind that is stored in the buffer, so only add to the end.
+     */
+    viewKinds = [
+        "ArrayBuffer",
+        "DataView",
+        "Int8Array",
+        "Uint8Array",
+        "Uint8ClampedArray",
+        "Int16Array",
+        "Uint16Array",
+        "Int32Array",
+        "Uint32Array",
+        "Float32Array",
+        "Float64Array",
+        "BigInt64Array",
+        "BigUint64Array"
+    ];
+
+    /**
+     * In strict mode, confirm that the value used the rest of the buffer.
+     *
+     * @param {BufferReader} buffReader
+     * @throws {TrailingDataError} bytes after the value in strict mode
+     */
+    function checkTrailingData(buffReader) {
+        if (buffReader.options.strict && buffReader.offset !== buffReader.readBuffer.length) {
+            throw new errors.TrailingDataError(buffReader.offset);
+        }
+    }
+
+
+    /**
+     * Find how long a value may be after it is decompressed.  Both
+     * maxBytes and maxDecompressedBytes apply.  The second has a finite
+     * default because every serializer reads compressed data, even
+     * when it does not compress.
+     *
+     * @param {BufferReader} buffReader
+     * @return {{length: number, name: string}} The limit and its option
+     */
+    function decompressLimit(buffReader) {
+        if (buffReader.options.maxBytes < buffReader.options.maxDecompressedBytes) {
+            return {
+                length: buffReader.options.maxBytes,
+                name: "maxBytes"
+            };
+        }
+
+        return {
+            length: buffReader.options.maxDecompressedBytes,
+            name: "maxDecompressedBytes"
+        };
+    }
+
+
+    /**
+     * Determine if a dense array is a list of plain objects that all have
+     * the same property names in the same order.  Those arrays can be
+     * written as a shape followed by only the values.
+     *
+     * Objects that a helper would handle are not plain.  When tracking
+     * references, objects that were already written or that repeat can
+     * not be part of a shape because they must be written as references.
+     * Rows with object values are not shaped either, since a value could
+     * be a later row and that row would then be written twice.
+     *
+     * @param {BufferSerializer} serializer
+     * @param {Array} thing
+     * @param {BufferWriter} buffWriter
+     * @return {(Array|null)} The shared property names
+     */
+    function findArrayShape(serializer, thing, buffWriter) {
+        var i, j, keys, row, rowKeys, seen;
+
+        if (thing.length < 2) {
+            return null;
+        }
+
+        seen = new Set();
+
+        for (i = 0; i < thing.length; i += 1) {
+            row = thing[i];
+
+            if (!row || typeof row !== "object" || Object.getPrototypeOf(row) !== Object.prototype) {
+                return null;
+            }
+
+            if (findHelper(serializer, row, "object")) {
+                return null;
+            }
+
+            if (buffWriter.references) {
+                if (buffWriter.references.has(row) || seen.has(row)) {
+                    return null;
+                }
+
+                seen.add(row);
+            }
+
+            rowKeys = Object.keys(row);
+
+            if (!keys) {
+                if (!rowKeys.length) {
+                    return null;
+                }
+
+                keys = rowKeys;
+            } else if (rowKeys.length !== keys.length) {
+                return null;
+            }
+
+            for (j = 0; j < keys.length; j += 1) {
+                if (rowKeys[j] !== keys[j]) {
+                    return null;
+                }
+
+                if (buffWriter.references && row[keys[j]] && typeof row[keys[j]] === "object") {
+                    return null;
+                }
+            }
+        }
+
+        return keys;
+    }
+
+
+    /**
+     * Find the helper for a value.  Helpers for an object's prototype
+     * are found without calling any checkFn.  Otherwise the helpers for
+     * the value's type are checked in the order they were registered.
+     *
+     * @param {BufferSerializer} serializer
+     * @param {*} thing
+     * @param {string} type The typeof the value
+     * @return {?BufferSerializer~helper}
+     */
+    function findHelper(serializer, thing, type) {
+        var helper, helpers, i;
+
+        if (type === "object") {
+            helper = serializer.helpersByPrototype.get(Object.getPrototypeOf(thing));
+
+            if (helper) {
+                return helper;
+            }
+        }
+
+        helpers = serializer.helpersByType.get(type);
+
+        if (helpers) {
+            for (i = 0; i < helpers.length; i += 1) {
+                if (helpers[i].checkFn(thing)) {
+                    return helpers[i];
+                }
+            }
+        }
+
+        return null;
+    }
+
+
+    /**
+     * Read the header and everything that wraps the value, stopping at
+     * the value.  See fromBufferReader() for the header.
+     *
+     * With a checksum, the header is followed by the size of the body,
+     * the body and then the CRC-32 of everything from the header to the
+     * end of the body.  The checksum is verified before anything is
+     * decoded.
+     *
+     * A compressed body is the number of the algorithm, the size of the
+     * compressed data and then the data.  The compressed data is the
+     * value without a header.  It is read here but not decompressed.
+     *
+     * A sealed body is decrypted here, see fromBufferSealed().  The
+     * decrypted data is either the value without a header, which is
+     * returned as the record, or a compressed body.
+     *
+     * @param {BufferSerializer} serializer
+     * @param {BufferReader} buffReader
+     * @return {{algorithm: ?number, compressed: ?Buffer, end: ?number, record: ?Buffer}}
+     * @throws {ChecksumError} when the data was changed
+     * @throws {InvalidVersionError} invalid version stored in the buffer
+     * @throws {TamperedError} when sealed data was changed
+     * @throws {UnknownKeyError} when sealed data uses an unknown key id
+     */
+    function fromBufferEnvelope(serializer, buffReader) {
+        var actual, bodyReader, envelope, expected, header, length, start;
+
+        start = buffReader.offset;
+        header = buffReader.peek();
+
+        if (header & 0x10 || !formats[header & 0x0F]) {
+            throw new errors.InvalidVersionError(header & 0x0F, start);
+        }
+
+        buffReader.skip();
+        buffReader.version = header & 0x0F;
+        envelope = {
+            algorithm: null,
+            compressed: null,
+            end: null,
+            record: null
+        };
+
+        if (header & 0x80) {
+            length = buffReader.size();
+            buffReader.ensure(length + 4);
+            envelope.end = buffReader.offset + length;
+            expected = buffReader.readBuffer.readUInt32BE(envelope.end);
+            actual = crc32(buffReader.readBuffer.slice(start, envelope.end));
+
+            if (actual !== expected) {
+                throw new errors.ChecksumError(expected, actual, start);
+            }
+        }
+
+        bodyReader = buffReader;
+
+        if (header & 0x20) {
+            envelope.record = fromBufferSealed(serializer, buffReader, start);
+            bodyReader = new BufferReader(envelope.record, 0, buffReader.options);
+        }
+
+        if (header & 0x40) {
+            try {
+                envelope.algorithm = bodyReader.uint8();
+                envelope.compressed = readSlice(bodyReader, bodyReader.size());
+            } catch (err) {
+                // A sealed record was already read completely
+                if (envelope.record && err.code === "ETRUNCATED") {
+                    throw new errors.InvalidDataError("Sealed size does not match its value", err.offset);
+                }
+
+                throw err;
+            }
+
+            if (envelope.record) {
+                if (bodyReader.offset !== envelope.record.length) {
+                    throw new errors.InvalidDataError("Sealed size does not match its value", bodyReader.offset);
+                }
+
+                envelope.record = null;
+            }
+        }
+
+        return envelope;
+    }
+
+
+    /**
+     * Finish reading what wraps a value after the value was decoded.
+     * The checksum is skipped because it was already verified.
+     *
+     * @param {BufferReader} buffReader
+     * @param {Object} envelope From fromBufferEnvelope()
+     * @throws {InvalidDataError} when the size does not match the value
+     */
+    function fromBufferEnvelopeEnd(buffReader, envelope) {
+        if (envelope.end === null) {
+            return;
+        }
+
+        if (buffReader.offset !== envelope.end) {
+            throw new errors.InvalidDataError("Checksummed size does not match its value", buffReader.offset);
+        }
+
+        buffReader.uint32();
+    }
+
+
     /**
      * Converts a buffer to a dense array.  This is a list of values
      * and is terminated by "!".
@@ -25,14 +339,21 @@ module.exports = function (BufferReader, BufferWriter) {
         var result;
 
         result = [];
+        buffReader.references.push(result);
+        buffReader.depth += 1;
+        buffReader.checkLimit("maxDepth", buffReader.depth);
 
         // Read until "!"
         while (buffReader.peek() !== 0x21) {
+            buffReader.checkLimit("maxElements", result.length + 1);
+            buffReader.path.push(result.length);
             result.push(serializer.fromBufferInternal(buffReader));
+            buffReader.path.pop();
         }
 
         // Consume the "!"
         buffReader.skip();
+        buffReader.depth -= 1;
 
         return result;
     }
@@ -47,23 +368,202 @@ module.exports = function (BufferReader, BufferWriter) {
      * @return {Array}
      */
     function fromBufferInternalArraySparse(serializer, buffReader) {
-        var key, result;
+        var count, key, result;
 
         result = [];
+        buffReader.references.push(result);
+        buffReader.depth += 1;
+        buffReader.checkLimit("maxDepth", buffReader.depth);
+        count = 0;
 
         // Read until "!"
         while (buffReader.peek() !== 0x21) {
+            count += 1;
+            buffReader.checkLimit("maxElements", count);
             key = serializer.fromBufferInternal(buffReader);
-            result[key] = serializer.fromBufferInternal(buffReader);
+            buffReader.path.push(key);
+            setArrayProperty(buffReader, result, key, serializer.fromBufferInternal(buffReader));
+            buffReader.path.pop();
         }
 
         // Consume the "!"
         buffReader.skip();
+        buffReader.depth -= 1;
+
+        return result;
+    }
+
+
+    /**
+     * Reads the start of an array of objects that share the same
+     * property names, which is the names and the number of objects.
+     *
+     * @param {BufferSerializer} serializer
+     * @param {BufferReader} buffReader
+     * @return {{count: number, keys: Array}}
+     * @throws {InvalidDataError} when there are no property names
+     */
+    function fromBufferInternalArrayShape(serializer, buffReader) {
+        var count, i, keys;
+
+        count = buffReader.size();
+
+        if (!count) {
+            throw new errors.InvalidDataError("Shaped arrays must have property names", buffReader.offset, buffReader.path);
+        }
+
+        buffReader.checkLimit("maxElements", count);
+        keys = [];
+
+        for (i = 0; i < count; i += 1) {
+            keys.push(serializer.fromBufferInternal(buffReader));
+        }
+
+        count = buffReader.size();
+        buffReader.checkLimit("maxElements", count);
+
+        return {
+            count: count,
+            keys: keys
+        };
+    }
+
+
+    /**
+     * Converts a buffer to an array of objects that share the same
+     * property names.  The property names are listed once, then the
+     * number of objects, then the values for each object.
+     *
+     * @param {BufferSerializer} serializer
+     * @param {BufferReader} buffReader
+     * @return {Array}
+     * @throws {InvalidDataError} when there are no property names
+     */
+    function fromBufferInternalArrayShaped(serializer, buffReader) {
+        var count, i, j, keys, result, row, shape;
+
+        result = [];
+        buffReader.references.push(result);
+        buffReader.depth += 1;
+        buffReader.checkLimit("maxDepth", buffReader.depth);
+        shape = fromBufferInternalArrayShape(serializer, buffReader);
+        count = shape.count;
+        keys = shape.keys;
+
+        // The rows are one level deeper than the array
+        buffReader.depth += 1;
+        buffReader.checkLimit("maxDepth", buffReader.depth);
+
+        for (i = 0; i < count; i += 1) {
+            row = {};
+            buffReader.references.push(row);
+            buffReader.path.push(i);
+
+            for (j = 0; j < keys.length; j += 1) {
+                buffReader.path.push(keys[j]);
+                setProperty(row, keys[j], serializer.fromBufferInternal(buffReader));
+                buffReader.path.pop();
+            }
+
+            buffReader.path.pop();
+            result.push(row);
+        }
+
+        buffReader.depth -= 2;
+
+        return result;
+    }
+
+
+    /**
+     * Converts a buffer to an instance of a class that was registered
+     * with registerClass().  See toBufferInternalInstance().
+     *
+     * Without hooks, the instance is created first so values inside it
+     * can refer back to it.  With hooks it does not exist until the
+     * data is decoded, so those references are undefined.
+     *
+     * @param {BufferSerializer} serializer
+     * @param {BufferReader} buffReader
+     * @param {Object} prototype
+     * @param {Object} hooks Options passed to registerClass()
+     * @return {Object}
+     */
+    function fromBufferInternalInstance(serializer, buffReader, prototype, hooks) {
+        var data, i, index, keys, result;
+
+        if (!hooks.toSerializable && !hooks.fromSerializable) {
+            result = Object.create(prototype);
+            buffReader.references.push(result);
+            fromBufferInternalProperties(serializer, buffReader, result);
+
+            return result;
+        }
+
+        index = buffReader.references.length;
+        buffReader.references.push(undefined);
+
+        if (hooks.toSerializable) {
+            data = serializer.fromBufferInternal(buffReader);
+        } else {
+            data = {};
+            fromBufferInternalProperties(serializer, buffReader, data);
+        }
+
+        if (hooks.fromSerializable) {
+            result = hooks.fromSerializable(data);
+        } else {
+            result = Object.create(prototype);
+            keys = Object.keys(data);
+
+            for (i = 0; i < keys.length; i += 1) {
+                setProperty(result, keys[i], data[keys[i]]);
+            }
+        }
+
+        buffReader.references[index] = result;
 
         return result;
     }
 
 
+    /**
+     * Look up a string that was interned earlier in the buffer.
+     *
+     * @param {BufferReader} buffReader
+     * @return {string}
+     * @throws {InvalidDataError} when the string was not decoded yet
+     */
+    function fromBufferInternalInternedReference(buffReader) {
+        var index;
+
+        index = buffReader.size();
+
+        if (index >= buffReader.strings.length) {
+            throw new errors.InvalidDataError("Invalid interned string: " + index, buffReader.offset, buffReader.path);
+        }
+
+        return buffReader.strings[index];
+    }
+
+
+    /**
+     * Read a UTF-8 string and remember it so later occurrences can
+     * refer to it by index.
+     *
+     * @param {BufferReader} buffReader
+     * @return {string}
+     */
+    function fromBufferInternalInternedString(buffReader) {
+        var str;
+
+        str = buffReader.utf8String(buffReader.size());
+        buffReader.strings.push(str);
+
+        return str;
+    }
+
+
     /**
      * Convert a buffer into a Date with milliseconds.
      *
@@ -106,139 +606,978 @@ module.exports = function (BufferReader, BufferWriter) {
      * @return {Object}
      */
     function fromBufferInternalObjectGeneric(serializer, buffReader) {
-        var key, result;
+        var result;
 
         result = {};
+        buffReader.references.push(result);
+        buffReader.depth += 1;
+        buffReader.checkLimit("maxDepth", buffReader.depth);
+        fromBufferInternalProperties(serializer, buffReader, result);
+        buffReader.depth -= 1;
 
-        // Continue until "!"
-        while (buffReader.peek() !== 0x21) {
-            key = serializer.fromBufferInternal(buffReader);
-            result[key] = serializer.fromBufferInternal(buffReader);
+        return result;
+    }
+
+
+    /**
+     * Convert a buffer into a custom registered helper object.  The
+     * helper was found by its name for "Z" or by its tag for "z".
+     *
+     * @param {BufferSerializer} serializer
+     * @param {BufferReader} buffReader
+     * @param {Map} helpers Helpers by name or by tag
+     * @param {(number|string)} key The name or tag that was read
+     * @return {*}
+     * @throws {UnknownHelperError} can not find helper to decode the object.
+     */
+    function fromBufferInternalObjectHelper(serializer, buffReader, helpers, key) {
+        var helper, result;
+
+        helper = helpers.get(key);
+
+        if (!helper) {
+            throw new errors.UnknownHelperError(key, buffReader.offset, buffReader.path);
         }
 
-        // Consume the "!"
-        buffReader.skip();
+        buffReader.depth += 1;
+        buffReader.checkLimit("maxDepth", buffReader.depth);
+        result = helper.fromBufferFn(buffReader, serializer);
+        buffReader.depth -= 1;
 
         return result;
     }
 
 
     /**
-     * Convert a buffer into a custom registered helper object.
+     * Convert a buffer into a Map.  The buffer will have keys and values,
+     * repeating, until "!".  Keys may be any type.
      *
      * @param {BufferSerializer} serializer
      * @param {BufferReader} buffReader
-     * @return {*}
-     * @throws {Error} can not find helper to decode the object.
+     * @return {Map}
      */
-    function fromBufferInternalObjectHelper(serializer, buffReader) {
-        var i, name;
+    function fromBufferInternalObjectMap(serializer, buffReader) {
+        var count, key, result;
 
-        name = buffReader.string(buffReader.size());
+        result = new Map();
+        buffReader.references.push(result);
+        buffReader.depth += 1;
+        buffReader.checkLimit("maxDepth", buffReader.depth);
+        count = 0;
 
-        for (i = 0; i < serializer.helpers.length; i += 1) {
-            if (serializer.helpers[i].name == name) {
-                return serializer.helpers[i].fromBufferFn(buffReader);
-            }
+        // Continue until "!"
+        while (buffReader.peek() !== 0x21) {
+            count += 1;
+            buffReader.checkLimit("maxElements", count);
+            key = serializer.fromBufferInternal(buffReader);
+            buffReader.path.push(key);
+            result.set(key, serializer.fromBufferInternal(buffReader));
+            buffReader.path.pop();
         }
 
-        throw new Error("Serialized data uses custom helper but it is not defined: " + name);
+        // Consume the "!"
+        buffReader.skip();
+        buffReader.depth -= 1;
+
+        return result;
     }
 
 
     /**
      * Convert a buffer into a RegExp.  The pattern is stored as a string
-     * and the flags are stored as bit flags.
+     * and the flags are stored as bit flags.  Which flags are available
+     * depends on the version of the format.
+     *
+     * Older versions of Node do not support every flag, and a pattern
+     * or combination of flags may not be valid.
      *
      * @param {BufferReader} buffReader
      * @return {RegExp}
+     * @throws {InvalidDataError} when the RegExp can not be created
      */
     function fromBufferInternalObjectRegExp(buffReader) {
-        var flags, pattern, patternFlags;
+        var flagList, flags, i, pattern, patternFlags, start;
 
-        pattern = buffReader.string(buffReader.size());
+        start = buffReader.offset;
+        pattern = fromBufferInternalText(buffReader);
         flags = buffReader.uint8();
+        flagList = formats[buffReader.version].regExpFlags;
         patternFlags = "";
 
-        if (flags & 0x01) {
-            patternFlags += "g";
-        }
-
-        if (flags & 0x02) {
-            patternFlags += "i";
+        for (i = 0; i < flagList.length; i += 1) {
+            if (flags & 1 << i) {
+                patternFlags += flagList[i];
+            }
         }
 
-        if (flags & 0x04) {
-            patternFlags += "m";
+        try {
+            return new RegExp(pattern, patternFlags);
+        } catch (err) {
+            throw new errors.InvalidDataError("Invalid RegExp: " + err.message, start, buffReader.path);
         }
-
-        return new RegExp(pattern, patternFlags);
     }
 
 
     /**
-     * Convert an Array into a buffer.  Detects if the array is dense.
-     * If dense, use "a" and encode just the values.  If sparse, encode
-     * as "A" and encode each key/value.
+     * Convert a buffer into a Set.  The buffer will have values until "!".
      *
      * @param {BufferSerializer} serializer
-     * @param {Array} thing
-     * @param {BufferWriter} buffWriter
+     * @param {BufferReader} buffReader
+     * @return {Set}
      */
-    function toBufferInternalArray(serializer, thing, buffWriter) {
-        var i, keys, undefCount;
-
-        keys = Object.keys(thing);
+    function fromBufferInternalObjectSet(serializer, buffReader) {
+        var count, result;
 
-        // Quick check for additional properties
-        if (keys.length == thing.length) {
-            // Check if any values are undefined
-            undefCount = 0;
+        result = new Set();
+        buffReader.references.push(result);
+        buffReader.depth += 1;
+        buffReader.checkLimit("maxDepth", buffReader.depth);
+        count = 0;
 
-            for (i = 0; i < thing.length; i += 1) {
-                if (thing[i] === undefined) {
-                    undefCount += 1;
-                    i = thing.length;
-                }
-            }
+        // Continue until "!"
+        while (buffReader.peek() !== 0x21) {
+            count += 1;
+            buffReader.checkLimit("maxElements", count);
+            buffReader.path.push(count - 1);
+            result.add(serializer.fromBufferInternal(buffReader));
+            buffReader.path.pop();
+        }
 
-            if (undefCount == 0) {
-                buffWriter.string("a")
+        // Consume the "!"
+        buffReader.skip();
+        buffReader.depth -= 1;
 
-                for (i = 0; i < thing.length; i += 1) {
-                    serializer.toBufferInternal(thing[i], buffWriter);
-                }
+        return result;
+    }
 
-                buffWriter.string("!");
 
-                return;
+    /**
+     * Convert a buffer into an ArrayBuffer, DataView or typed array.
+     *
+     * Unless the BufferReader's copy option is enabled, DataViews and
+     * typed arrays share memory with the buffer being read when possible.
+     * That is not possible when the elements would not be aligned or
+     * their bytes need to be swapped.  Otherwise the data is copied into
+     * a new ArrayBuffer.
+     *
+     * @param {BufferReader} buffReader
+     * @return {(ArrayBuffer|DataView|TypedArray)}
+     * @throws {InvalidDataError} when the kind is not supported
+     * @throws {InvalidDataError} when the length does not fit the elements
+     */
+    function fromBufferInternalObjectView(buffReader) {
+        var arrayBuffer, bytes, Ctor, elementSize, kind;
+
+        kind = buffReader.uint8();
+        Ctor = global[viewKinds[kind]];
+
+        if (!Ctor) {
+            throw new errors.InvalidDataError("Unable to deserialize view, unknown kind: " + kind, buffReader.offset, buffReader.path);
+        }
+
+        elementSize = Ctor.BYTES_PER_ELEMENT || 1;
+        bytes = buffReader.buffer(buffReader.size());
+
+        if (bytes.length % elementSize) {
+            throw new errors.InvalidDataError("Invalid length for " + viewKinds[kind] + ": " + bytes.length, buffReader.offset, buffReader.path);
+        }
+
+        // An ArrayBuffer can not share part of another one
+        if (Ctor !== ArrayBuffer && !buffReader.options.copy) {
+            // Elements must be aligned and in the host's byte order
+            if (elementSize === 1 || hostIsLittleEndian && !(bytes.byteOffset % elementSize)) {
+                return new Ctor(bytes.buffer, bytes.byteOffset, bytes.length / elementSize);
             }
         }
 
+        arrayBuffer = new ArrayBuffer(bytes.length);
+        bytes.copy(Buffer.from(arrayBuffer));
+
+        if (!hostIsLittleEndian) {
+            swapBytes(Buffer.from(arrayBuffer), Ctor.BYTES_PER_ELEMENT);
+        }
+
+        if (Ctor === ArrayBuffer) {
+            return arrayBuffer;
+        }
+
+        return new Ctor(arrayBuffer);
+    }
+
+
+    /**
+     * Read property names and values, repeating, until "!" and set them
+     * on the target.
+     *
+     * @param {BufferSerializer} serializer
+     * @param {BufferReader} buffReader
+     * @param {Object} target
+     */
+    function fromBufferInternalProperties(serializer, buffReader, target) {
+        var count, key;
+
+        count = 0;
+
+        // Continue until "!"
+        while (buffReader.peek() !== 0x21) {
+            count += 1;
+            buffReader.checkLimit("maxElements", count);
+            key = serializer.fromBufferInternal(buffReader);
+            buffReader.path.push(key);
+            setProperty(target, key, serializer.fromBufferInternal(buffReader));
+            buffReader.path.pop();
+        }
+
+        // Consume the "!"
+        buffReader.skip();
+    }
+
+
+    /**
+     * Look up an object or array that was already decoded.  The
+     * reference is its position in the order they were read.
+     *
+     * @param {BufferReader} buffReader
+     * @return {(Array|Object)}
+     * @throws {InvalidDataError} when the reference was not decoded yet
+     */
+    function fromBufferInternalReference(buffReader) {
+        var id;
+
+        id = buffReader.size();
+
+        if (id >= buffReader.references.length) {
+            throw new errors.InvalidDataError("Invalid reference: " + id, buffReader.offset, buffReader.path);
+        }
+
+        return buffReader.references[id];
+    }
+
+
+    /**
+     * Read a string that starts with its size.  Depending on the version
+     * of the format, it is either one byte per character or UTF-8.
+     *
+     * @param {BufferReader} buffReader
+     * @return {string}
+     */
+    function fromBufferInternalText(buffReader) {
+        if (formats[buffReader.version].utf8) {
+            return buffReader.utf8String(buffReader.size());
+        }
+
+        return buffReader.string(buffReader.size());
+    }
+
+
+    /**
+     * Read and decrypt a sealed body.  It is the key id (size and then
+     * UTF-8), the initialization vector, the size of the encrypted data,
+     * the encrypted data and then the authentication tag.  The header
+     * and the key id are authenticated along with the data.
+     *
+     * @param {BufferSerializer} serializer
+     * @param {BufferReader} buffReader
+     * @param {number} start Where the header is
+     * @return {Buffer}
+     * @throws {TamperedError} when the data was changed
+     * @throws {UnknownKeyError} when the key id is not in the keys
+     */
+    function fromBufferSealed(serializer, buffReader, start) {
+        var aad, keyId, keys, keyStart, sealed;
+
+        keyStart = buffReader.offset;
+        keyId = buffReader.utf8String(buffReader.size());
+        keys = serializer.options.keys;
+
+        if (!Object.prototype.hasOwnProperty.call(keys, keyId)) {
+            throw new errors.UnknownKeyError(keyId, keyStart);
+        }
+
+        aad = Buffer.concat([
+            buffReader.readBuffer.slice(start, start + 1),
+            buffReader.readBuffer.slice(keyStart, buffReader.offset)
+        ]);
+        sealed = {};
+        sealed.iv = readSlice(buffReader, encryption.ivLength);
+        sealed.ciphertext = readSlice(buffReader, buffReader.size());
+        sealed.tag = readSlice(buffReader, encryption.tagLength);
+
+        return encryption.open(keys[keyId], sealed, aad, start);
+    }
+
+
+    /**
+     * Reads a dense array like fromBufferInternalArrayDense(), but can
+     * stop for more data between elements.  See fromBufferSteps().
+     *
+     * @param {BufferSerializer} serializer
+     * @param {BufferReader} buffReader
+     * @return {Array}
+     */
+    function* fromBufferStepsArrayDense(serializer, buffReader) {
+        var result;
+
+        result = [];
+        buffReader.references.push(result);
+        buffReader.depth += 1;
+        buffReader.checkLimit("maxDepth", buffReader.depth);
+
+        while (!(yield* fromBufferStepsEnd(buffReader))) {
+            buffReader.checkLimit("maxElements", result.length + 1);
+            buffReader.path.push(result.length);
+            result.push(yield* fromBufferStepsValue(serializer, buffReader));
+            buffReader.path.pop();
+        }
+
+        buffReader.depth -= 1;
+
+        return result;
+    }
+
+
+    /**
+     * Reads a sparse array like fromBufferInternalArraySparse(), but
+     * can stop for more data between keys and values.
+     *
+     * @param {BufferSerializer} serializer
+     * @param {BufferReader} buffReader
+     * @return {Array}
+     */
+    function* fromBufferStepsArraySparse(serializer, buffReader) {
+        var count, key, result;
+
+        result = [];
+        buffReader.references.push(result);
+        buffReader.depth += 1;
+        buffReader.checkLimit("maxDepth", buffReader.depth);
+        count = 0;
+
+        while (!(yield* fromBufferStepsEnd(buffReader))) {
+            count += 1;
+            buffReader.checkLimit("maxElements", count);
+            key = yield* fromBufferStepsRead(buffReader, () => serializer.fromBufferInternal(buffReader));
+            buffReader.path.push(key);
+            setArrayProperty(buffReader, result, key, yield* fromBufferStepsValue(serializer, buffReader));
+            buffReader.path.pop();
+        }
+
+        buffReader.depth -= 1;
+
+        return result;
+    }
+
+
+    /**
+     * Reads an array of objects that share the same property names like
+     * fromBufferInternalArrayShaped(), but can stop for more data
+     * between values.
+     *
+     * @param {BufferSerializer} serializer
+     * @param {BufferReader} buffReader
+     * @return {Array}
+     */
+    function* fromBufferStepsArrayShaped(serializer, buffReader) {
+        var i, j, result, row, shape;
+
+        result = [];
+        buffReader.references.push(result);
+        buffReader.depth += 1;
+        buffReader.checkLimit("maxDepth", buffReader.depth);
+        shape = yield* fromBufferStepsRead(buffReader, () => fromBufferInternalArrayShape(serializer, buffReader));
+
+        // The rows are one level deeper than the array
+        buffReader.depth += 1;
+        buffReader.checkLimit("maxDepth", buffReader.depth);
+
+        for (i = 0; i < shape.count; i += 1) {
+            row = {};
+            buffReader.references.push(row);
+            buffReader.path.push(i);
+
+            for (j = 0; j < shape.keys.length; j += 1) {
+                buffReader.path.push(shape.keys[j]);
+                setProperty(row, shape.keys[j], yield* fromBufferStepsValue(serializer, buffReader));
+                buffReader.path.pop();
+            }
+
+            buffReader.path.pop();
+            result.push(row);
+        }
+
+        buffReader.depth -= 2;
+
+        return result;
+    }
+
+
+    /**
+     * Checks for the "!" that ends arrays, objects, Maps and Sets and
+     * consumes it when it is there.
+     *
+     * @param {BufferReader} buffReader
+     * @return {boolean} True at the end
+     */
+    function* fromBufferStepsEnd(buffReader) {
+        if ((yield* fromBufferStepsRead(buffReader, () => buffReader.peek())) !== 0x21) {
+            return false;
+        }
+
+        buffReader.skip();
+
+        return true;
+    }
+
+
+    /**
+     * Reads a Map like fromBufferInternalObjectMap(), but can stop for
+     * more data between keys and values.
+     *
+     * @param {BufferSerializer} serializer
+     * @param {BufferReader} buffReader
+     * @return {Map}
+     */
+    function* fromBufferStepsMap(serializer, buffReader) {
+        var count, key, result;
+
+        result = new Map();
+        buffReader.references.push(result);
+        buffReader.depth += 1;
+        buffReader.checkLimit("maxDepth", buffReader.depth);
+        count = 0;
+
+        while (!(yield* fromBufferStepsEnd(buffReader))) {
+            count += 1;
+            buffReader.checkLimit("maxElements", count);
+            key = yield* fromBufferStepsValue(serializer, buffReader);
+            buffReader.path.push(key);
+            result.set(key, yield* fromBufferStepsValue(serializer, buffReader));
+            buffReader.path.pop();
+        }
+
+        buffReader.depth -= 1;
+
+        return result;
+    }
+
+
+    /**
+     * Reads an object like fromBufferInternalObjectGeneric(), but can
+     * stop for more data between property names and values.
+     *
+     * @param {BufferSerializer} serializer
+     * @param {BufferReader} buffReader
+     * @return {Object}
+     */
+    function* fromBufferStepsObject(serializer, buffReader) {
+        var count, key, result;
+
+        result = {};
+        buffReader.references.push(result);
+        buffReader.depth += 1;
+        buffReader.checkLimit("maxDepth", buffReader.depth);
+        count = 0;
+
+        while (!(yield* fromBufferStepsEnd(buffReader))) {
+            count += 1;
+            buffReader.checkLimit("maxElements", count);
+            key = yield* fromBufferStepsRead(buffReader, () => serializer.fromBufferInternal(buffReader));
+            buffReader.path.push(key);
+            setProperty(result, key, yield* fromBufferStepsValue(serializer, buffReader));
+            buffReader.path.pop();
+        }
+
+        buffReader.depth -= 1;
+
+        return result;
+    }
+
+
+    /**
+     * Runs a read that can not stop in the middle.  When the data runs
+     * out, everything the read changed in the BufferReader is undone and
+     * the TruncatedError is yielded.  Once more data is in the reader,
+     * the read starts over.
+     *
+     * @param {BufferReader} buffReader
+     * @param {Function} readFn
+     * @return {*} What readFn returns
+     */
+    function* fromBufferStepsRead(buffReader, readFn) {
+        var depth, offset, path, references, strings;
+
+        depth = buffReader.depth;
+        offset = buffReader.offset;
+        path = buffReader.path.length;
+        references = buffReader.references.length;
+        strings = buffReader.strings.length;
+
+        for (;;) {
+            try {
+                return readFn();
+            } catch (err) {
+                if (err.code !== "ETRUNCATED") {
+                    throw err;
+                }
+
+                buffReader.depth = depth;
+                buffReader.offset = offset;
+                buffReader.path.length = path;
+                buffReader.references.length = references;
+                buffReader.strings.length = strings;
+                yield err;
+            }
+        }
+    }
+
+
+    /**
+     * Reads a Set like fromBufferInternalObjectSet(), but can stop for
+     * more data between values.
+     *
+     * @param {BufferSerializer} serializer
+     * @param {BufferReader} buffReader
+     * @return {Set}
+     */
+    function* fromBufferStepsSet(serializer, buffReader) {
+        var count, result;
+
+        result = new Set();
+        buffReader.references.push(result);
+        buffReader.depth += 1;
+        buffReader.checkLimit("maxDepth", buffReader.depth);
+        count = 0;
+
+        while (!(yield* fromBufferStepsEnd(buffReader))) {
+            count += 1;
+            buffReader.checkLimit("maxElements", count);
+            buffReader.path.push(count - 1);
+            result.add(yield* fromBufferStepsValue(serializer, buffReader));
+            buffReader.path.pop();
+        }
+
+        buffReader.depth -= 1;
+
+        return result;
+    }
+
+
+    /**
+     * Reads a value the same as fromBufferInternal(), but arrays,
+     * objects, Maps and Sets can stop for more data between their
+     * entries.  Everything else, including custom objects, is read again
+     * from its start when it was cut off.
+     *
+     * @param {BufferSerializer} serializer
+     * @param {BufferReader} buffReader
+     * @return {*}
+     */
+    function* fromBufferStepsValue(serializer, buffReader) {
+        var code;
+
+        code = yield* fromBufferStepsRead(buffReader, () => buffReader.peek());
+
+        switch (code) {
+        case 0x41: // A = Array object, sparse
+            buffReader.skip();
+
+            return yield* fromBufferStepsArraySparse(serializer, buffReader);
+
+        case 0x46: // F = Array of objects with the same shape
+            buffReader.skip();
+
+            return yield* fromBufferStepsArrayShaped(serializer, buffReader);
+
+        case 0x4D: // M = Map object
+            buffReader.skip();
+
+            return yield* fromBufferStepsMap(serializer, buffReader);
+
+        case 0x4f: // O = object, generic
+            buffReader.skip();
+
+            return yield* fromBufferStepsObject(serializer, buffReader);
+
+        case 0x53: // S = Set object
+            buffReader.skip();
+
+            return yield* fromBufferStepsSet(serializer, buffReader);
+
+        case 0x61: // a = Array, dense
+            buffReader.skip();
+
+            return yield* fromBufferStepsArrayDense(serializer, buffReader);
+        }
+
+        return yield* fromBufferStepsRead(buffReader, () => serializer.fromBufferInternal(buffReader));
+    }
+
+
+    /**
+     * Decode a value from data that was decompressed or decrypted.  It
+     * uses a new BufferReader with the same options, so offsets in
+     * errors are positions in that data.
+     *
+     * All of the data is already here, so running out of it means the
+     * data is wrong and not that more should arrive.
+     *
+     * @param {BufferSerializer} serializer
+     * @param {BufferReader} buffReader
+     * @param {Buffer} record The value without a header
+     * @return {*}
+     * @throws {InvalidDataError} when the value does not use all of the
+     *   data or needs more
+     */
+    function fromBufferUnwrapped(serializer, buffReader, record) {
+        var recordReader, result;
+
+        recordReader = new BufferReader(record, 0, buffReader.options);
+        recordReader.version = buffReader.version;
+
+        try {
+            result = serializer.fromBufferInternal(recordReader);
+        } catch (err) {
+            if (err.code === "ETRUNCATED") {
+                throw new errors.InvalidDataError("Compressed or sealed size does not match its value", err.offset, err.path);
+            }
+
+            throw err;
+        }
+
+        if (recordReader.offset !== record.length) {
+            throw new errors.InvalidDataError("Compressed or sealed size does not match its value", recordReader.offset);
+        }
+
+        return result;
+    }
+
+
+    /**
+     * Decode a value that was compressed or sealed, after its envelope
+     * was read.
+     *
+     * @param {BufferSerializer} serializer
+     * @param {BufferReader} buffReader
+     * @param {Object} envelope From fromBufferEnvelope()
+     * @return {*}
+     */
+    function fromBufferWrapped(serializer, buffReader, envelope) {
+        var limit;
+
+        if (!envelope.compressed) {
+            return fromBufferUnwrapped(serializer, buffReader, envelope.record);
+        }
+
+        limit = decompressLimit(buffReader);
+
+        return fromBufferUnwrapped(serializer, buffReader, compression.decompressSync(envelope.algorithm, envelope.compressed, limit.length, limit.name));
+    }
+
+
+    /**
+     * Determine if an array has no holes and no additional properties.
+     * Indices are always listed first and in order, so when the counts
+     * match the last key must be the last index.
+     *
+     * @param {Array} thing
+     * @param {Array} keys Own enumerable property names of the array
+     * @return {boolean}
+     */
+    function isDenseArray(thing, keys) {
+        if (keys.length !== thing.length) {
+            return false;
+        }
+
+        return !keys.length || keys[keys.length - 1] === String(keys.length - 1);
+    }
+
+
+    /**
+     * Sets up a BufferWriter for a new value.
+     *
+     * @param {BufferSerializer} serializer
+     * @param {BufferWriter} buffWriter
+     */
+    function prepareWriter(serializer, buffWriter) {
+        buffWriter.version = serializer.options.version;
+        buffWriter.path = [];
+        buffWriter.strings = null;
+        buffWriter.references = null;
+
+        if (serializer.options.intern) {
+            buffWriter.strings = new Map();
+        }
+
+        if (serializer.options.references) {
+            buffWriter.references = new Map();
+        }
+    }
+
+
+    /**
+     * Read bytes without copying them or checking maxBufferLength.  This
+     * is for the parts of the envelope, which are not values.
+     *
+     * @param {BufferReader} buffReader
+     * @param {number} length
+     * @return {Buffer}
+     */
+    function readSlice(buffReader, length) {
+        var buff;
+
+        buffReader.ensure(length);
+        buff = buffReader.readBuffer.slice(buffReader.offset, buffReader.offset + length);
+        buffReader.offset += length;
+
+        return buff;
+    }
+
+
+    /**
+     * Assign a decoded property of a sparse array.  Indices and the
+     * length can make the array far larger than the data, so they are
+     * checked against maxElements.
+     *
+     * @param {BufferReader} buffReader
+     * @param {Array} target
+     * @param {*} key
+     * @param {*} value
+     * @throws {InvalidDataError} when the length is not a valid length
+     * @throws {LimitExceededError} when the array would be too long
+     */
+    function setArrayProperty(buffReader, target, key, value) {
+        var index;
+
+        if (key === "length") {
+            if (!Number.isInteger(value) || value < 0 || value > 0xFFFFFFFF) {
+                throw new errors.InvalidDataError("Invalid array length: " + value, buffReader.offset, buffReader.path);
+            }
+
+            buffReader.checkLimit("maxElements", value);
+        } else {
+            index = +key;
+
+            // Only integers below 2^32 - 1 are indices
+            if (String(index) === String(key) && Number.isInteger(index) && index >= 0 && index < 0xFFFFFFFF) {
+                buffReader.checkLimit("maxElements", index + 1);
+            }
+        }
+
+        setProperty(target, key, value);
+    }
+
+
+    /**
+     * Assign a decoded property.  A "__proto__" key is defined as a
+     * normal property so decoded data can not change the prototype of
+     * the object.
+     *
+     * @param {(Array|Object)} target
+     * @param {(number|string)} key
+     * @param {*} value
+     */
+    function setProperty(target, key, value) {
+        if (key === "__proto__") {
+            Object.defineProperty(target, key, {
+                configurable: true,
+                enumerable: true,
+                value: value,
+                writable: true
+            });
+        } else {
+            target[key] = value;
+        }
+    }
+
+
+    /**
+     * Reverse the byte order of every element in a buffer, changing
+     * between little-endian and big-endian.  Single bytes and views
+     * without an element size are left alone.
+     *
+     * @param {Buffer} buff
+     * @param {number} [elementSize]
+     */
+    function swapBytes(buff, elementSize) {
+        if (elementSize === 2) {
+            buff.swap16();
+        } else if (elementSize === 4) {
+            buff.swap32();
+        } else if (elementSize === 8) {
+            buff.swap64();
+        }
+    }
+
+
+    /**
+     * Convert an Array into a buffer.  Detects if the array is dense.
+     * If dense, use "a" and encode just the values.  If sparse, encode
+     * as "A" and encode each key/value.
+     *
+     * Holes at the end of a sparse array do not have keys, so the
+     * length is written as an additional property when needed.
+     *
+     * @param {BufferSerializer} serializer
+     * @param {Array} thing
+     * @param {BufferWriter} buffWriter
+     */
+    function toBufferInternalArray(serializer, thing, buffWriter) {
+        var dense, i, keys, shape;
+
+        keys = Object.keys(thing);
+        dense = isDenseArray(thing, keys);
+        trackReference(thing, buffWriter);
+
+        if (dense && serializer.options.shapes) {
+            shape = findArrayShape(serializer, thing, buffWriter);
+
+            if (shape) {
+                return toBufferInternalArrayShaped(serializer, thing, shape, buffWriter);
+            }
+        }
+
+        if (dense) {
+            buffWriter.string("a")
+
+            for (i = 0; i < thing.length; i += 1) {
+                buffWriter.path.push(i);
+                serializer.toBufferInternal(thing[i], buffWriter);
+                buffWriter.path.pop();
+            }
+
+            buffWriter.string("!");
+
+            return;
+        }
+
         // sparse array or additional properties
         buffWriter.string("A");
 
-        for (i = 0; i < keys.length; i += 1) {
-            toBufferInternalKey(serializer, keys[i], buffWriter);
-            serializer.toBufferInternal(thing[keys[i]], buffWriter);
+        for (i = 0; i < keys.length; i += 1) {
+            toBufferInternalKey(keys[i], buffWriter);
+            buffWriter.path.push(keys[i]);
+            serializer.toBufferInternal(thing[keys[i]], buffWriter);
+            buffWriter.path.pop();
+        }
+
+        if (thing.length && !Object.prototype.hasOwnProperty.call(thing, thing.length - 1)) {
+            toBufferInternalKey("length", buffWriter);
+            serializer.toBufferInternal(thing.length, buffWriter);
+        }
+
+        buffWriter.string("!");
+    }
+
+
+    /**
+     * Writes the start of an array of objects that share the same
+     * property names, which is the names and the number of objects.
+     *
+     * @param {Array} keys Property names shared by every object
+     * @param {number} length Number of objects
+     * @param {BufferWriter} buffWriter
+     */
+    function toBufferInternalArrayShape(keys, length, buffWriter) {
+        var i;
+
+        buffWriter.uint8(0x46); // F
+        buffWriter.size(keys.length);
+
+        for (i = 0; i < keys.length; i += 1) {
+            toBufferInternalKey(keys[i], buffWriter);
+        }
+
+        buffWriter.size(length);
+    }
+
+
+    /**
+     * Writes an array of objects that share the same property names.
+     * See findArrayShape() for when this is used.
+     *
+     * @param {BufferSerializer} serializer
+     * @param {Array} thing
+     * @param {Array} keys Property names shared by every object
+     * @param {BufferWriter} buffWriter
+     */
+    function toBufferInternalArrayShaped(serializer, thing, keys, buffWriter) {
+        var i, j;
+
+        toBufferInternalArrayShape(keys, thing.length, buffWriter);
+
+        for (i = 0; i < thing.length; i += 1) {
+            trackReference(thing[i], buffWriter);
+            buffWriter.path.push(i);
+
+            for (j = 0; j < keys.length; j += 1) {
+                buffWriter.path.push(keys[j]);
+                serializer.toBufferInternal(thing[i][keys[j]], buffWriter);
+                buffWriter.path.pop();
+            }
+
+            buffWriter.path.pop();
+        }
+    }
+
+
+    /**
+     * Write a boolean to the buffer.
+     *
+     * @param {boolean} thing
+     * @param {BufferWriter} buffWriter
+     */
+    function toBufferInternalBoolean(thing, buffWriter) {
+        if (thing) {
+            buffWriter.uint8(0x74); // t
+        } else {
+            buffWriter.uint8(0x66); // f
+        }
+    }
+
+
+    /**
+     * Writes an instance of a class that was registered with
+     * registerClass().  It is written after the helper's name and is
+     * tracked as a reference.  Without toSerializable the own enumerable
+     * properties are written like a plain object, but without the "O".
+     * Otherwise the result of toSerializable is written as a value.
+     *
+     * @param {BufferSerializer} serializer
+     * @param {Object} thing
+     * @param {Object} hooks Options passed to registerClass()
+     * @param {BufferWriter} buffWriter
+     */
+    function toBufferInternalInstance(serializer, thing, hooks, buffWriter) {
+        trackReference(thing, buffWriter);
+
+        if (hooks.toSerializable) {
+            serializer.toBufferInternal(hooks.toSerializable(thing), buffWriter);
+        } else {
+            toBufferInternalProperties(serializer, thing, buffWriter);
         }
-
-        buffWriter.string("!");
     }
 
 
     /**
-     * Write a boolean to the buffer.
+     * Write an interned string to the buffer.  The first time a string
+     * is seen it is written in full as "k" and added to the list of
+     * interned strings.  After that only the index is written as "K".
      *
-     * @param {boolean} thing
+     * @param {string} thing
      * @param {BufferWriter} buffWriter
      */
-    function toBufferInternalBoolean(thing, buffWriter) {
-        if (thing) {
-            buffWriter.uint8(0x74); // t
-        } else {
-            buffWriter.uint8(0x66); // f
+    function toBufferInternalInternedString(thing, buffWriter) {
+        if (buffWriter.strings.has(thing)) {
+            buffWriter.uint8(0x4B); // K
+            buffWriter.size(buffWriter.strings.get(thing));
+
+            return;
         }
+
+        buffWriter.strings.set(thing, buffWriter.strings.size);
+        buffWriter.uint8(0x6B); // k
+        buffWriter.size(Buffer.byteLength(thing, "utf8"));
+        buffWriter.utf8String(thing);
     }
 
 
@@ -246,18 +1585,23 @@ module.exports = function (BufferReader, BufferWriter) {
      * Write a key to the buffer.  Keys may be strings or numbers (as in
      * the case of sparse arrays).  Since objects change all properties to
      * strings internally, we can encode ones that look like numbers into
-     * just plain numbers, saving bytes.
+     * just plain numbers, saving bytes.  Other keys are interned when
+     * the BufferWriter is tracking strings.  Registered helpers are not
+     * used, so keys always decode as strings and numbers.
      *
-     * @param {BufferSerializer} serializer
      * @param {string} thing
      * @param {BufferWriter} buffWriter
      */
-    function toBufferInternalKey(serializer, thing, buffWriter) {
+    function toBufferInternalKey(thing, buffWriter) {
         if (/^(0|[1-9][0-9]*)$/.test(thing)) {
-            thing = +thing;
+            return toBufferInternalNumber(+thing, buffWriter);
         }
 
-        return serializer.toBufferInternal(thing, buffWriter);
+        if (buffWriter.strings) {
+            return toBufferInternalInternedString(thing, buffWriter);
+        }
+
+        return toBufferInternalString(thing, buffWriter);
     }
 
 
@@ -268,18 +1612,29 @@ module.exports = function (BufferReader, BufferWriter) {
      *   - negative 8-bit integer
      *   i negative 16-bit integer
      *   I negative 32-bit integer
+     *   j negative 48-bit integer
+     *   J negative 56-bit integer, up to Number.MAX_SAFE_INTEGER
      *   + positive 8-bit integer
      *   p positive 16-bit integer
      *   P positive 32-bit integer
+     *   q positive 48-bit integer
+     *   Q positive 56-bit integer, up to Number.MAX_SAFE_INTEGER
      *   d double
      *
+     * Negative zero is an integer but would lose its sign, so it is
+     * stored as a double.  NaN and the infinities are also doubles.  The
+     * 48-bit and 56-bit integers are only written in versions that have
+     * wideIntegers; older versions store those numbers as doubles.
+     *
      * @param {number} thing
      * @param {BufferWriter} buffWriter
      */
     function toBufferInternalNumber(thing, buffWriter) {
-        var abs;
+        var abs, wide;
+
+        wide = formats[buffWriter.version].wideIntegers;
 
-        if (Math.floor(thing) == thing) {
+        if (Math.floor(thing) == thing && !Object.is(thing, -0)) {
             // an integer
             if (thing < 0) {
                 // negative integer
@@ -305,6 +1660,20 @@ module.exports = function (BufferReader, BufferWriter) {
 
                     return;
                 }
+
+                if (wide && abs <= 0xFFFFFFFFFFFF) {
+                    buffWriter.uint8(0x6A);  // j
+                    buffWriter.uint48(abs);
+
+                    return;
+                }
+
+                if (wide && abs <= Number.MAX_SAFE_INTEGER) {
+                    buffWriter.uint8(0x4A);  // J
+                    buffWriter.uint56(abs);
+
+                    return;
+                }
             } else {
                 // positive integer
                 if (thing <= 0xFF) {
@@ -327,11 +1696,25 @@ module.exports = function (BufferReader, BufferWriter) {
 
                     return;
                 }
+
+                if (wide && thing <= 0xFFFFFFFFFFFF) {
+                    buffWriter.uint8(0x71); // q
+                    buffWriter.uint48(thing);
+
+                    return;
+                }
+
+                if (wide && thing <= Number.MAX_SAFE_INTEGER) {
+                    buffWriter.uint8(0x51); // Q
+                    buffWriter.uint56(thing);
+
+                    return;
+                }
             }
         }
 
-        // Either this is not an integer or it is outside of a 32-bit integer.
-        // Store as a double.
+        // Either this is not an integer, it is outside of the safe range
+        // or this version does not have wide integers.  Store as a double.
         buffWriter.uint8(0x64); // d
         buffWriter.double(thing);
     }
@@ -341,6 +1724,7 @@ module.exports = function (BufferReader, BufferWriter) {
      * Write an object to a buffer.  This does the detection of object
      * type and chooses the appropriate encoder, passing off the real
      * encoding work to another toBufferInternalObject* function.
+     * Registered helpers were already checked.
      *
      * @param {BufferSerializer} serializer
      * @param {Object} thing
@@ -348,20 +1732,7 @@ module.exports = function (BufferReader, BufferWriter) {
      * @return {Buffer}
      */
     function toBufferInternalObject(serializer, thing, buffWriter) {
-        var helper, i;
-
-        for (i = 0; i < serializer.helpers.length; i += 1) {
-            helper = serializer.helpers[i];
-
-            if (helper.checkFn(thing)) {
-                buffWriter.uint8(0x5A); // Z
-                buffWriter.size(helper.name.length);
-                buffWriter.string(helper.name);
-                helper.toBufferFn(thing, buffWriter);
-
-                return;
-            }
-        }
+        var kind;
 
         if (thing instanceof Buffer) {
             return toBufferInternalObjectBuffer(thing, buffWriter);
@@ -375,6 +1746,23 @@ module.exports = function (BufferReader, BufferWriter) {
             return toBufferInternalObjectRegExp(thing, buffWriter);
         }
 
+        if (ArrayBuffer.isView(thing) || thing instanceof ArrayBuffer) {
+            // The tag is "Uint8Array" and not the name of a subclass
+            kind = viewKinds.indexOf(Object.prototype.toString.call(thing).slice(8, -1));
+
+            if (kind >= 0) {
+                return toBufferInternalObjectView(thing, kind, buffWriter);
+            }
+        }
+
+        if (thing instanceof Map) {
+            return toBufferInternalObjectMap(serializer, thing, buffWriter);
+        }
+
+        if (thing instanceof Set) {
+            return toBufferInternalObjectSet(serializer, thing, buffWriter);
+        }
+
         return toBufferInternalObjectGeneric(serializer, thing, buffWriter);
     }
 
@@ -427,14 +1815,442 @@ module.exports = function (BufferReader, BufferWriter) {
      * @param {BufferWriter} buffWriter
      */
     function toBufferInternalObjectGeneric(serializer, thing, buffWriter) {
+        trackReference(thing, buffWriter);
+        buffWriter.string("O");
+        toBufferInternalProperties(serializer, thing, buffWriter);
+    }
+
+
+    /**
+     * Writes an object with a custom registered helper.  Helpers with a
+     * tag are written as "z" and the tag.  Others are written as "Z" and
+     * the name.
+     *
+     * @param {BufferSerializer} serializer
+     * @param {BufferSerializer~helper} helper
+     * @param {Object} thing
+     * @param {BufferWriter} buffWriter
+     */
+    function toBufferInternalObjectHelper(serializer, helper, thing, buffWriter) {
+        if (helper.tag === null) {
+            buffWriter.uint8(0x5A); // Z
+            toBufferInternalText(helper.name, buffWriter);
+        } else {
+            buffWriter.uint8(0x7A); // z
+            buffWriter.size(helper.tag);
+        }
+
+        helper.toBufferFn(thing, buffWriter, serializer);
+    }
+
+
+    /**
+     * Writes a Map to the buffer.  Writes keys and values in insertion
+     * order, then "!" to signify the end.  Keys are written as any other
+     * value so they do not need to be strings.
+     *
+     * @param {BufferSerializer} serializer
+     * @param {Map} thing
+     * @param {BufferWriter} buffWriter
+     */
+    function toBufferInternalObjectMap(serializer, thing, buffWriter) {
+        trackReference(thing, buffWriter);
+        buffWriter.uint8(0x4D); // M
+        thing.forEach((value, key) => {
+            serializer.toBufferInternal(key, buffWriter);
+            buffWriter.path.push(key);
+            serializer.toBufferInternal(value, buffWriter);
+            buffWriter.path.pop();
+        });
+        buffWriter.string("!");
+    }
+
+
+    /**
+     * Writes a RegExp object to the buffer.  Stores the pattern as a
+     * string and the modifiers as bit flags.  Flags that the version of
+     * the format does not have are not written.
+     *
+     * @param {Buffer} thing
+     * @param {BufferWriter} buffWriter
+     */
+    function toBufferInternalObjectRegExp(thing, buffWriter) {
+        var flagList, flags, i;
+
+        buffWriter.uint8(0x52); // R
+        toBufferInternalText(thing.source, buffWriter);
+        flagList = formats[buffWriter.version].regExpFlags;
+        flags = 0;
+
+        for (i = 0; i < flagList.length; i += 1) {
+            if (thing.flags.indexOf(flagList[i]) >= 0) {
+                flags += 1 << i;
+            }
+        }
+
+        buffWriter.uint8(flags);
+    }
+
+
+    /**
+     * Writes a Set to the buffer.  Writes values in insertion order, then
+     * "!" to signify the end.
+     *
+     * @param {BufferSerializer} serializer
+     * @param {Set} thing
+     * @param {BufferWriter} buffWriter
+     */
+    function toBufferInternalObjectSet(serializer, thing, buffWriter) {
+        var i;
+
+        trackReference(thing, buffWriter);
+        buffWriter.uint8(0x53); // S
+        i = 0;
+        thing.forEach((value) => {
+            buffWriter.path.push(i);
+            serializer.toBufferInternal(value, buffWriter);
+            buffWriter.path.pop();
+            i += 1;
+        });
+        buffWriter.string("!");
+    }
+
+
+    /**
+     * Writes an ArrayBuffer, DataView or typed array to the buffer.  The
+     * kind is a single byte, followed by the size and the raw bytes.
+     * Elements are stored little-endian.
+     *
+     * @param {(ArrayBuffer|DataView|TypedArray)} thing
+     * @param {number} kind Index into viewKinds
+     * @param {BufferWriter} buffWriter
+     */
+    function toBufferInternalObjectView(thing, kind, buffWriter) {
+        var bytes;
+
+        if (thing instanceof ArrayBuffer) {
+            bytes = Buffer.from(thing);
+        } else {
+            bytes = Buffer.from(thing.buffer, thing.byteOffset, thing.byteLength);
+        }
+
+        if (!hostIsLittleEndian && thing.BYTES_PER_ELEMENT > 1) {
+            bytes = Buffer.from(bytes);
+            swapBytes(bytes, thing.BYTES_PER_ELEMENT);
+        }
+
+        buffWriter.uint8(0x56); // V
+        buffWriter.uint8(kind);
+        buffWriter.size(bytes.length);
+        buffWriter.buffer(bytes);
+    }
+
+
+    /**
+     * Writes the own enumerable properties of an object as keys and
+     * values, then "!" to signify the end.
+     *
+     * @param {BufferSerializer} serializer
+     * @param {Object} thing
+     * @param {BufferWriter} buffWriter
+     */
+    function toBufferInternalProperties(serializer, thing, buffWriter) {
         var i, keys;
 
-        buffWriter.string("O");
         keys = Object.keys(thing);
 
         for (i = 0; i < keys.length; i += 1) {
-            toBufferInternalKey(serializer, keys[i], buffWriter);
+            toBufferInternalKey(keys[i], buffWriter);
+            buffWriter.path.push(keys[i]);
             serializer.toBufferInternal(thing[keys[i]], buffWriter);
+            buffWriter.path.pop();
+        }
+
+        buffWriter.string("!");
+    }
+
+
+    /**
+     * Writes a string to the buffer.  In version 0 of the format,
+     * strings that only use characters up to U+00FF are stored one byte
+     * per character as "s".  Anything else is stored as UTF-8 with "U"
+     * so no characters are lost.  Later versions always use "s", which
+     * is UTF-8.
+     *
+     * @param {string} thing
+     * @param {BufferWriter} buffWriter
+     */
+    function toBufferInternalString(thing, buffWriter) {
+        if (!formats[buffWriter.version].utf8 && /[\u0100-\uFFFF]/.test(thing)) {
+            buffWriter.uint8(0x55); // U
+            buffWriter.size(Buffer.byteLength(thing, "utf8"));
+            buffWriter.utf8String(thing);
+
+            return;
+        }
+
+        buffWriter.uint8(0x73); // s
+        toBufferInternalText(thing, buffWriter);
+    }
+
+
+    /**
+     * Writes a string's size and then the string.  Depending on the
+     * version of the format, it is either one byte per character or
+     * UTF-8.
+     *
+     * @param {string} thing
+     * @param {BufferWriter} buffWriter
+     */
+    function toBufferInternalText(thing, buffWriter) {
+        if (formats[buffWriter.version].utf8) {
+            buffWriter.size(Buffer.byteLength(thing, "utf8"));
+            buffWriter.utf8String(thing);
+        } else {
+            buffWriter.size(thing.length);
+            buffWriter.string(thing);
+        }
+    }
+
+
+    /**
+     * Write the header and everything that wraps the value.  See
+     * fromBufferEnvelope() for the layout.  The compressed value is only
+     * used when it is smaller.
+     *
+     * @param {BufferSerializer} serializer
+     * @param {Buffer} record The value without a header
+     * @param {?Buffer} compressed The record after compression
+     * @param {BufferWriter} buffWriter
+     */
+    function toBufferEnvelope(serializer, record, compressed, buffWriter) {
+        var body, head, header, packed;
+
+        header = serializer.options.version;
+        body = record;
+
+        if (compressed) {
+            packed = new BufferWriter(compressed.length + 6);
+            packed.uint8(compression.id(serializer.options.compression));
+            packed.size(compressed.length);
+            packed.buffer(compressed);
+
+            if (packed.length < record.length) {
+                header |= 0x40;
+                body = packed.toBuffer();
+            }
+        }
+
+        if (serializer.options.checksum) {
+            header |= 0x80;
+        }
+
+        if (serializer.options.keyId !== null) {
+            header |= 0x20;
+            body = toBufferSealed(serializer, header, body);
+        }
+
+        if (!serializer.options.checksum) {
+            buffWriter.uint8(header);
+            buffWriter.buffer(body);
+
+            return;
+        }
+
+        head = new BufferWriter(8);
+        head.uint8(header);
+        head.size(body.length);
+        head = head.toBuffer();
+        buffWriter.buffer(head);
+        buffWriter.buffer(body);
+        buffWriter.uint32(crc32(body, crc32(head)));
+    }
+
+
+    /**
+     * Write a value, without a header, to a new buffer.  This is used
+     * when the value is compressed or has a checksum.
+     *
+     * @param {BufferSerializer} serializer
+     * @param {*} thing
+     * @return {Buffer}
+     */
+    function toBufferRecord(serializer, thing) {
+        var buffWriter;
+
+        buffWriter = new BufferWriter();
+        toBufferValue(serializer, thing, buffWriter);
+
+        return buffWriter.toBuffer();
+    }
+
+
+    /**
+     * Encrypt a body with the serializer's key.  See fromBufferSealed()
+     * for the layout.
+     *
+     * @param {BufferSerializer} serializer
+     * @param {number} header The header that will be written
+     * @param {Buffer} body
+     * @return {Buffer}
+     */
+    function toBufferSealed(serializer, header, body) {
+        var keyId, sealed, sealedWriter;
+
+        keyId = serializer.options.keyId;
+        sealedWriter = new BufferWriter(body.length + 64);
+        sealedWriter.size(Buffer.byteLength(keyId, "utf8"));
+        sealedWriter.utf8String(keyId);
+        sealed = encryption.seal(serializer.options.keys[keyId], body, Buffer.concat([
+            Buffer.from([
+                header
+            ]),
+            sealedWriter.toBuffer()
+        ]));
+        sealedWriter.buffer(sealed.iv);
+        sealedWriter.size(sealed.ciphertext.length);
+        sealedWriter.buffer(sealed.ciphertext);
+        sealedWriter.buffer(sealed.tag);
+
+        return sealedWriter.toBuffer();
+    }
+
+
+    /**
+     * Writes a dense array like toBufferInternalArray(), pausing after
+     * each element or object.  Sparse arrays are written all at once.
+     *
+     * @param {BufferSerializer} serializer
+     * @param {Array} thing
+     * @param {BufferWriter} buffWriter
+     */
+    function* toBufferStepsArray(serializer, thing, buffWriter) {
+        var i, j, shape;
+
+        if (!isDenseArray(thing, Object.keys(thing))) {
+            serializer.toBufferInternal(thing, buffWriter);
+
+            return;
+        }
+
+        trackReference(thing, buffWriter);
+        shape = null;
+
+        if (serializer.options.shapes) {
+            shape = findArrayShape(serializer, thing, buffWriter);
+        }
+
+        if (shape) {
+            toBufferInternalArrayShape(shape, thing.length, buffWriter);
+        } else {
+            buffWriter.string("a");
+        }
+
+        for (i = 0; i < thing.length; i += 1) {
+            buffWriter.path.push(i);
+
+            if (shape) {
+                trackReference(thing[i], buffWriter);
+
+                for (j = 0; j < shape.length; j += 1) {
+                    buffWriter.path.push(shape[j]);
+                    yield* toBufferStepsValue(serializer, thing[i][shape[j]], buffWriter);
+                    buffWriter.path.pop();
+                }
+            } else {
+                yield* toBufferStepsValue(serializer, thing[i], buffWriter);
+            }
+
+            buffWriter.path.pop();
+            yield;
+        }
+
+        if (!shape) {
+            buffWriter.string("!");
+        }
+    }
+
+
+    /**
+     * Writes a Map like toBufferInternalObjectMap(), pausing after each
+     * entry.
+     *
+     * @param {BufferSerializer} serializer
+     * @param {Map} thing
+     * @param {BufferWriter} buffWriter
+     */
+    function* toBufferStepsMap(serializer, thing, buffWriter) {
+        var entries, entry;
+
+        trackReference(thing, buffWriter);
+        buffWriter.uint8(0x4D); // M
+        entries = thing.entries();
+        entry = entries.next();
+
+        while (!entry.done) {
+            yield* toBufferStepsValue(serializer, entry.value[0], buffWriter);
+            buffWriter.path.push(entry.value[0]);
+            yield* toBufferStepsValue(serializer, entry.value[1], buffWriter);
+            buffWriter.path.pop();
+            yield;
+            entry = entries.next();
+        }
+
+        buffWriter.string("!");
+    }
+
+
+    /**
+     * Writes a plain object like toBufferInternalObjectGeneric(),
+     * pausing after each property.
+     *
+     * @param {BufferSerializer} serializer
+     * @param {Object} thing
+     * @param {BufferWriter} buffWriter
+     */
+    function* toBufferStepsObject(serializer, thing, buffWriter) {
+        var i, keys;
+
+        trackReference(thing, buffWriter);
+        buffWriter.string("O");
+        keys = Object.keys(thing);
+
+        for (i = 0; i < keys.length; i += 1) {
+            toBufferInternalKey(keys[i], buffWriter);
+            buffWriter.path.push(keys[i]);
+            yield* toBufferStepsValue(serializer, thing[keys[i]], buffWriter);
+            buffWriter.path.pop();
+            yield;
+        }
+
+        buffWriter.string("!");
+    }
+
+
+    /**
+     * Writes a Set like toBufferInternalObjectSet(), pausing after each
+     * value.
+     *
+     * @param {BufferSerializer} serializer
+     * @param {Set} thing
+     * @param {BufferWriter} buffWriter
+     */
+    function* toBufferStepsSet(serializer, thing, buffWriter) {
+        var i, values, value;
+
+        trackReference(thing, buffWriter);
+        buffWriter.uint8(0x53); // S
+        values = thing.values();
+        value = values.next();
+        i = 0;
+
+        while (!value.done) {
+            buffWriter.path.push(i);
+            yield* toBufferStepsValue(serializer, value.value, buffWriter);
+            buffWriter.path.pop();
+            yield;
+            value = values.next();
+            i += 1;
         }
 
         buffWriter.string("!");
@@ -442,54 +2258,161 @@ module.exports = function (BufferReader, BufferWriter) {
 
 
     /**
-     * Writes a RegExp object to the buffer.  Stores the pattern as a
-     * string and the modifiers as bit flags.
+     * Writes a value the same as toBufferInternal(), but pauses inside
+     * arrays, plain objects, Maps and Sets.  Everything else, including
+     * objects that are written by helpers or as references, is written
+     * all at once.
      *
-     * @param {Buffer} thing
+     * @param {BufferSerializer} serializer
+     * @param {*} thing
      * @param {BufferWriter} buffWriter
      */
-    function toBufferInternalObjectRegExp(thing, buffWriter) {
-        var flags;
+    function* toBufferStepsValue(serializer, thing, buffWriter) {
+        if (thing && typeof thing === "object" && !(buffWriter.references && buffWriter.references.has(thing)) && !findHelper(serializer, thing, "object")) {
+            if (Array.isArray(thing)) {
+                return yield* toBufferStepsArray(serializer, thing, buffWriter);
+            }
 
-        buffWriter.uint8(0x52); // R
-        buffWriter.size(thing.source.length);
-        buffWriter.string(thing.source);
-        flags = 0;
+            if (thing instanceof Map) {
+                return yield* toBufferStepsMap(serializer, thing, buffWriter);
+            }
 
-        if (thing.global) {
-            flags += 0x01;
-        }
+            if (thing instanceof Set) {
+                return yield* toBufferStepsSet(serializer, thing, buffWriter);
+            }
 
-        if (thing.ignoreCase) {
-            flags += 0x02;
+            if (Object.getPrototypeOf(thing) === Object.prototype) {
+                return yield* toBufferStepsObject(serializer, thing, buffWriter);
+            }
         }
 
-        if (thing.multiline) {
-            flags += 0x04;
-        }
+        serializer.toBufferInternal(thing, buffWriter);
+    }
 
-        buffWriter.uint8(flags);
+
+    /**
+     * Write a value after the header.  This sets up the BufferWriter for
+     * a new value.
+     *
+     * @param {BufferSerializer} serializer
+     * @param {*} thing
+     * @param {BufferWriter} buffWriter
+     */
+    function toBufferValue(serializer, thing, buffWriter) {
+        prepareWriter(serializer, buffWriter);
+        serializer.toBufferInternal(thing, buffWriter);
     }
 
 
     /**
-     * Writes a string to the buffer.
+     * Remember an object or array that is being written so later
+     * occurrences can be written as references.  Only does work when the
+     * BufferWriter is tracking references.
      *
-     * @param {Buffer} thing
+     * @param {(Array|Object)} thing
      * @param {BufferWriter} buffWriter
      */
-    function toBufferInternalString(thing, buffWriter) {
-        buffWriter.uint8(0x73); // s
-        buffWriter.size(thing.length);
-        buffWriter.string(thing);
+    function trackReference(thing, buffWriter) {
+        if (buffWriter.references) {
+            buffWriter.references.set(thing, buffWriter.references.size);
+        }
     }
 
     class BufferSerializer {
         /**
          * Creates a new buffer serializer instance.
+         *
+         * @param {Object} [options]
+         * @param {boolean} [options.checksum=false] When enabled, a CRC-32
+         *   of the value is written after it and checked when decoding.
+         * @param {(boolean|string)} [options.compression=false] Either
+         *   "deflate" or "brotli" to compress values.
+         * @param {number} [options.compressionThreshold=1024] Values are
+         *   only compressed when they are at least this many bytes.
+         * @param {boolean} [options.references=false] When enabled, objects
+         *   and arrays that appear more than once are written once and
+         *   referenced afterwards.  This preserves shared and circular
+         *   structures.
+         * @param {boolean} [options.intern=false] When enabled, property
+         *   names are written once and referenced by index afterwards.
+         * @param {?string} [options.keyId=null] When set, values are
+         *   sealed with this key from the keys.
+         * @param {Object} [options.keys={}] Keys for sealing and opening
+         *   values.  The property names are the key ids and the values
+         *   are Buffers of 16, 24 or 32 bytes.
+         * @param {boolean} [options.pool=false] When enabled, toBuffer()
+         *   reuses its BufferWriter instead of allocating a new one for
+         *   every call.  The result is then copied out of the writer.
+         * @param {boolean} [options.shapes=false] When enabled, arrays of
+         *   plain objects with identical property names are written as
+         *   the names followed by only the values.
+         * @param {number} [options.version=0] Version of the format to
+         *   write.  Every version can be read.
+         * @throws {InvalidVersionError} when the version is not known
+         * @throws {Error} when the compression algorithm is not known
+         * @throws {Error} when a key is invalid or the key id is not one
+         *   of the keys
          */
-        constructor() {
+        constructor(options) {
             this.helpers = [];
+            this.helpersByName = new Map();
+            this.helpersByPrototype = new Map();
+            this.helpersByTag = new Map();
+            this.helpersByType = new Map();
+            this.options = Object.assign({
+                checksum: false,
+                compression: false,
+                compressionThreshold: 1024,
+                intern: false,
+                keyId: null,
+                keys: {},
+                pool: false,
+                references: false,
+                shapes: false,
+                version: 0
+            }, options);
+            this.writerPool = [];
+
+            if (!formats[this.options.version]) {
+                throw new errors.InvalidVersionError(this.options.version);
+            }
+
+            if (this.options.compression) {
+                compression.id(this.options.compression);
+            }
+
+            Object.keys(this.options.keys).forEach((keyId) => {
+                encryption.checkKey(this.options.keys[keyId]);
+            });
+
+            if (this.options.keyId !== null && (typeof this.options.keyId !== "string" || !Object.prototype.hasOwnProperty.call(this.options.keys, this.options.keyId))) {
+                throw new Error("Key id is not one of the keys: " + this.options.keyId);
+            }
+        }
+
+
+        /**
+         * Create a decoder for values that arrive in pieces, such as from
+         * a socket.
+         *
+         * @param {Object} [options] See StreamDecoder and BufferReader
+         * @return {StreamDecoder}
+         */
+        createDecoder(options) {
+            return new StreamDecoder(this, options);
+        }
+
+
+        /**
+         * Create an encoder that writes values to a writable stream
+         * without building one large Buffer for each value.
+         *
+         * @param {stream.Writable} writable
+         * @param {Object} [options] See StreamEncoder
+         * @return {StreamEncoder}
+         */
+        createEncoder(writable, options) {
+            return new StreamEncoder(this, writable, options);
         }
 
 
@@ -497,24 +2420,200 @@ module.exports = function (BufferReader, BufferWriter) {
          * Deserialize a buffer.  Double checks the version before calling
          * the fromBufferInternal* methods.
          *
+         * With the strict option, the value must use the rest of the
+         * buffer.  Otherwise extra bytes are ignored.
+         *
+         * @param {Buffer} buff
+         * @param {number} [offset=0]
+         * @param {Object} [options] Decoding options, see BufferReader
+         * @return {*}
+         * @throws {InvalidVersionError} invalid version stored in the buffer
+         * @throws {TrailingDataError} bytes after the value in strict mode
+         */
+        fromBuffer(buff, offset, options) {
+            var buffReader, result;
+
+            buffReader = new BufferReader(buff, offset, options);
+            result = this.fromBufferReader(buffReader);
+            checkTrailingData(buffReader);
+
+            return result;
+        }
+
+
+        /**
+         * Deserialize a buffer like fromBuffer(), but decompress the value
+         * without blocking.  The callback is always called
+         * asynchronously.
+         *
+         * @param {Buffer} buff
+         * @param {number} [offset=0]
+         * @param {Object} [options] Decoding options, see BufferReader
+         * @param {Function(Error,*)} callback
+         */
+        fromBufferAsync(buff, offset, options, callback) {
+            var buffReader, envelope, finish, limit;
+
+            if (typeof offset === "function") {
+                callback = offset;
+                offset = 0;
+                options = null;
+            } else if (typeof options === "function") {
+                callback = options;
+                options = null;
+            }
+
+            finish = (record) => {
+                var result;
+
+                try {
+                    if (record) {
+                        result = fromBufferUnwrapped(this, buffReader, record);
+                    } else {
+                        result = this.fromBufferInternal(buffReader);
+                    }
+
+                    fromBufferEnvelopeEnd(buffReader, envelope);
+                    checkTrailingData(buffReader);
+                } catch (err) {
+                    return callback(err);
+                }
+
+                return callback(null, result);
+            };
+
+            try {
+                buffReader = new BufferReader(buff, offset, options);
+                envelope = fromBufferEnvelope(this, buffReader);
+            } catch (err) {
+                return process.nextTick(callback, err);
+            }
+
+            if (!envelope.compressed) {
+                return process.nextTick(finish, envelope.record);
+            }
+
+            limit = decompressLimit(buffReader);
+            compression.decompress(envelope.algorithm, envelope.compressed, limit.length, limit.name, (err, inflated) => {
+                if (err) {
+                    return callback(err);
+                }
+
+                return finish(inflated);
+            });
+        }
+
+
+        /**
+         * Deserialize one frame.  A frame is the size of a serialized
+         * value (see BufferWriter's size()) followed by the value, which
+         * lets several values be stored back-to-back.  The returned
+         * offset is where the next frame starts.
+         *
          * @param {Buffer} buff
          * @param {number} [offset=0]
+         * @param {Object} [options] Decoding options, see BufferReader
+         * @return {{data: *, offset: number}}
+         * @throws {BufferSerializerError} when the frame is incomplete or invalid
+         * @throws {InvalidDataError} when the value needs more data than
+         *   the frame has
+         */
+        fromFrame(buff, offset, options) {
+            var buffReader, data, frameReader, length;
+
+            // Check maxBytes before waiting for the whole frame
+            buffReader = new BufferReader(buff, offset, {
+                maxBytes: options && options.maxBytes
+            });
+            length = buffReader.size();
+            frameReader = new BufferReader(buffReader.buffer(length), 0, options);
+
+            // The whole frame is here, so only the size can be truncated
+            try {
+                data = this.fromBufferReader(frameReader);
+            } catch (err) {
+                if (err.code === "ETRUNCATED") {
+                    throw new errors.InvalidDataError("Frame size does not match its value", buffReader.offset, err.path);
+                }
+
+                throw err;
+            }
+
+            if (frameReader.offset !== length) {
+                throw new errors.InvalidDataError("Frame size does not match its value", buffReader.offset);
+            }
+
+            return {
+                data: data,
+                offset: buffReader.offset
+            };
+        }
+
+
+        /**
+         * Deserialize a value, including the header, using a
+         * BufferReader.  Afterwards the reader's offset is just past the
+         * value, which shows how many bytes were used.
+         *
+         * The header is a single byte.  The low four bits are the version
+         * and the high bits are flags.
+         *
+         *   0x80 = a checksum follows the value
+         *   0x40 = the value is compressed
+         *   0x20 = the value is sealed
+         *
+         * @param {BufferReader} buffReader
          * @return {*}
-         * @throws {Error} invalid version stored in the buffer
+         * @throws {InvalidVersionError} invalid version stored in the buffer
          */
-        fromBuffer(buff, offset) {
-            var buffReader;
+        fromBufferReader(buffReader) {
+            var envelope, result;
 
-            offset = offset || 0;
+            envelope = fromBufferEnvelope(this, buffReader);
 
-            // Only version 0 is supported
-            if (buff[offset] !== 0x00) {
-                throw new Error("Invalid version identifier");
+            if (envelope.compressed || envelope.record) {
+                result = fromBufferWrapped(this, buffReader, envelope);
+            } else {
+                result = this.fromBufferInternal(buffReader);
+            }
+
+            fromBufferEnvelopeEnd(buffReader, envelope);
+
+            return result;
+        }
+
+
+        /**
+         * Reads the same as fromBufferReader(), but when the data runs
+         * out the generator yields the TruncatedError instead of
+         * throwing it.  Put more data in the reader's readBuffer, with
+         * the bytes that were there still at the start, and call next()
+         * to continue.  Reading picks up at the start of the element of
+         * the array, object, Map or Set that was cut off, so a large
+         * value is not read again from the beginning.  The value is
+         * returned when the generator is done.  StreamDecoder uses this
+         * for data that arrives in pieces.
+         *
+         * Compressed and sealed values are read all at once because
+         * their whole size is known first.
+         *
+         * @param {BufferReader} buffReader
+         * @return {*}
+         */
+        *fromBufferSteps(buffReader) {
+            var envelope, result;
+
+            envelope = yield* fromBufferStepsRead(buffReader, () => fromBufferEnvelope(this, buffReader));
+
+            if (envelope.compressed || envelope.record) {
+                result = fromBufferWrapped(this, buffReader, envelope);
+            } else {
+                result = yield* fromBufferStepsValue(this, buffReader);
             }
 
-            buffReader = new BufferReader(buff, offset + 1);
+            fromBufferEnvelopeEnd(buffReader, envelope);
 
-            return this.fromBufferInternal(buffReader);
+            return result;
         }
 
 
@@ -526,7 +2625,7 @@ module.exports = function (BufferReader, BufferWriter) {
          *
          * @param {BufferReader} buffReader
          * @return {*}
-         * @throws {Error} invalid type code
+         * @throws {UnknownTypeCodeError} invalid type code
          */
         fromBufferInternal(buffReader) {
             var code;
@@ -551,27 +2650,54 @@ module.exports = function (BufferReader, BufferWriter) {
             case 0x44: // D = Date object with milliseconds
                 return fromBufferInternalObjectDateD(buffReader);
 
+            case 0x46: // F = Array of objects with the same shape
+                return fromBufferInternalArrayShaped(this, buffReader);
+
             case 0x49: // I = negative 32-bit integer
                 return - buffReader.uint32();
 
+            case 0x4A: // J = negative 56-bit integer
+                return - buffReader.uint56();
+
+            case 0x4B: // K = interned string, reference
+                return fromBufferInternalInternedReference(buffReader);
+
+            case 0x4D: // M = Map object
+                return fromBufferInternalObjectMap(this, buffReader);
+
             case 0x4f: // O = object, generic
                 return fromBufferInternalObjectGeneric(this, buffReader);
 
             case 0x50: // P = positive 32-bit integer
                 return buffReader.uint32();
 
+            case 0x51: // Q = positive 56-bit integer
+                return buffReader.uint56();
+
             case 0x52: // R = RegExp
                 return fromBufferInternalObjectRegExp(buffReader);
 
+            case 0x53: // S = Set object
+                return fromBufferInternalObjectSet(this, buffReader);
+
             case 0x54: // T = Date object without milliseconds
                 return fromBufferInternalObjectDateT(buffReader);
 
-            case 0x5A: // Z = custom object
-                return fromBufferInternalObjectHelper(this, buffReader);
+            case 0x55: // U = string, UTF-8
+                return buffReader.utf8String(buffReader.size());
+
+            case 0x56: // V = ArrayBuffer, DataView or typed array
+                return fromBufferInternalObjectView(buffReader);
+
+            case 0x5A: // Z = custom object by name
+                return fromBufferInternalObjectHelper(this, buffReader, this.helpersByName, fromBufferInternalText(buffReader));
 
             case 0x61: // a = Array, dense
                 return fromBufferInternalArrayDense(this, buffReader);
 
+            case 0x62: // b = BigInt
+                return buffReader.bigint();
+
             case 0x64: // d = 8-byte double
                 return buffReader.double();
 
@@ -581,54 +2707,301 @@ module.exports = function (BufferReader, BufferWriter) {
             case 0x69: // i = negative 16-bit integer
                 return - buffReader.uint16();
 
+            case 0x6A: // j = negative 48-bit integer
+                return - buffReader.uint48();
+
+            case 0x6B: // k = interned string, first occurrence
+                return fromBufferInternalInternedString(buffReader);
+
             case 0x6e: // n = null
                 return null;
 
             case 0x70: // p = positive 16-bit integer
                 return buffReader.uint16();
 
-            case 0x73: // s = string
-                return buffReader.string(buffReader.size());
+            case 0x71: // q = positive 48-bit integer
+                return buffReader.uint48();
+
+            case 0x72: // r = reference to an earlier object or array
+                return fromBufferInternalReference(buffReader);
+
+            case 0x73: // s = string, UTF-8 after version 0
+                return fromBufferInternalText(buffReader);
 
             case 0x74: // t = true
                 return true;
+
+            case 0x75: // u = undefined
+                return undefined;
+
+            case 0x7A: // z = custom object by tag
+                return fromBufferInternalObjectHelper(this, buffReader, this.helpersByTag, buffReader.size());
             }
 
-            throw new Error("Unable to deserialize string, unknown code: " + code);
+            throw new errors.UnknownTypeCodeError(code, buffReader.offset - 1, buffReader.path);
         }
 
 
         /**
          * Register a custom object type for serialization.
          *
+         * With a tag, objects are written with the tag instead of the
+         * name, which is smaller.  Data that has the name can still be
+         * read.  With a constructor, objects whose prototype is exactly
+         * Ctor.prototype are found without calling any checkFn.
+         *
+         * checkFn is only given values of the helper's type, which is
+         * "object" unless options.type says otherwise.  Helpers are
+         * checked before the built-in encoders, so a helper can change
+         * how arrays, Dates, strings, numbers and so on are written by
+         * this serializer.  Objects never include null.
+         *
          * @param {string} name Shorter names mean smaller serialized buffers.
-         * @param {Function(obj)} checkFn Returns true if obj is the one you want.
-         * @param {Function(obj,BufferWriter)} toBufferFn Write to the BufferWriter
-         * @param {Function(BufferReader)} fromBufferFn Change buffer back to object
+         * @param {?Function(obj)} checkFn Returns true if obj is the one you
+         *   want.  May be null when options.Ctor is set.
+         * @param {Function(obj,BufferWriter,BufferSerializer)} toBufferFn
+         *   Write to the BufferWriter.  Use the serializer's
+         *   toBufferInternal() to write nested values.
+         * @param {Function(BufferReader,BufferSerializer)} fromBufferFn
+         *   Change buffer back to object.  Use the serializer's
+         *   fromBufferInternal() to read nested values.
+         * @param {Object} [options]
+         * @param {Function} [options.Ctor] Class or constructor function
+         * @param {number} [options.tag] Integer from 0 to 0x1FFFFFFE
+         * @param {string} [options.type="object"] The typeof values to check
+         * @throws {Error} when the name, tag or constructor is already
+         *   registered or a parameter is invalid
          */
-        register(name, checkFn, toBufferFn, fromBufferFn) {
-            this.helpers.push({
-                checkFn: checkFn,
+        register(name, checkFn, toBufferFn, fromBufferFn, options) {
+            var helper;
+
+            options = options || {};
+            helper = {
+                checkFn: checkFn || null,
                 fromBufferFn: fromBufferFn,
                 name: name,
-                toBufferFn: toBufferFn
+                prototype: null,
+                tag: null,
+                toBufferFn: toBufferFn,
+                type: options.type || "object"
+            };
+
+            if (typeof name !== "string") {
+                throw new Error("Helper name must be a string");
+            }
+
+            if (this.helpersByName.has(name)) {
+                throw new Error("Helper name is already registered: " + name);
+            }
+
+            if (options.tag !== undefined) {
+                if (!Number.isInteger(options.tag) || options.tag < 0 || options.tag >= 0x1FFFFFFF) {
+                    throw new Error("Helper tag must be an integer from 0 to 536870910: " + options.tag);
+                }
+
+                if (this.helpersByTag.has(options.tag)) {
+                    throw new Error("Helper tag is already registered: " + options.tag);
+                }
+
+                helper.tag = options.tag;
+            }
+
+            if ([
+                "bigint",
+                "boolean",
+                "function",
+                "number",
+                "object",
+                "string",
+                "symbol",
+                "undefined"
+            ].indexOf(helper.type) === -1) {
+                throw new Error("Helper type must be a result of typeof: " + helper.type);
+            }
+
+            if (options.Ctor !== undefined) {
+                if (typeof options.Ctor !== "function" || !options.Ctor.prototype) {
+                    throw new Error("Ctor must be a class or a constructor function");
+                }
+
+                if (helper.type !== "object") {
+                    throw new Error("Helper with a Ctor must have the object type: " + name);
+                }
+
+                if (this.helpersByPrototype.has(options.Ctor.prototype)) {
+                    throw new Error("Helper constructor is already registered: " + name);
+                }
+
+                helper.prototype = options.Ctor.prototype;
+            }
+
+            if (typeof helper.checkFn !== "function" && !helper.prototype) {
+                throw new Error("Helper needs a checkFn or a Ctor: " + name);
+            }
+
+            this.helpers.push(helper);
+            this.helpersByName.set(name, helper);
+
+            if (helper.checkFn) {
+                if (!this.helpersByType.has(helper.type)) {
+                    this.helpersByType.set(helper.type, []);
+                }
+
+                this.helpersByType.get(helper.type).push(helper);
+            }
+
+            if (helper.tag !== null) {
+                this.helpersByTag.set(helper.tag, helper);
+            }
+
+            if (helper.prototype) {
+                this.helpersByPrototype.set(helper.prototype, helper);
+            }
+        }
+
+
+        /**
+         * Register a class so its instances keep their prototype.  The
+         * own enumerable properties are written like a plain object and
+         * are set on Object.create(Ctor.prototype) when decoding, so the
+         * constructor is not called.  Only instances with exactly this
+         * prototype are matched, so register subclasses separately.
+         *
+         * The hooks change what is written.  toSerializable(instance)
+         * returns any value to write instead of the properties and
+         * fromSerializable(value) returns the instance for the decoded
+         * value.
+         *
+         * @param {string} name Shorter names mean smaller serialized buffers.
+         * @param {Function} Ctor Class or constructor function
+         * @param {Object} [options]
+         * @param {Function(Object):*} [options.toSerializable]
+         * @param {Function(*):Object} [options.fromSerializable]
+         * @param {number} [options.tag] See register()
+         * @throws {Error} when Ctor is not a function with a prototype
+         */
+        registerClass(name, Ctor, options) {
+            var hooks;
+
+            if (typeof Ctor !== "function" || !Ctor.prototype) {
+                throw new Error("Ctor must be a class or a constructor function");
+            }
+
+            hooks = options || {};
+            this.register(name, null, (thing, buffWriter, serializer) => {
+                toBufferInternalInstance(serializer, thing, hooks, buffWriter);
+            }, (buffReader, serializer) => {
+                return fromBufferInternalInstance(serializer, buffReader, Ctor.prototype, hooks);
+            }, {
+                Ctor: Ctor,
+                tag: hooks.tag
             });
         }
 
 
         /**
-         * Convert something to a buffer.  Creates the new BufferWriter and
-         * kicks off the internal functions.
+         * Convert something to a buffer.  Creates the new BufferWriter, or
+         * takes one from the pool, and kicks off the internal functions.
          *
          * @param {*} thing
          * @return {Buffer}
          */
         toBuffer(thing) {
-            var buffWriter;
+            var buffWriter, result;
+
+            if (!this.options.pool) {
+                buffWriter = new BufferWriter();
+                this.toBufferWriter(thing, buffWriter);
+
+                return buffWriter.toBuffer();
+            }
+
+            // Custom helpers may call toBuffer() while a writer is in use,
+            // so there can be more than one writer.
+            buffWriter = this.writerPool.pop() || new BufferWriter();
+            this.toBufferWriter(thing, buffWriter);
+            result = Buffer.from(buffWriter.toBuffer());
+            buffWriter.reset();
+
+            // Do not hold on to the memory from huge values
+            if (buffWriter.data.length <= 0x100000) {
+                this.writerPool.push(buffWriter);
+            }
+
+            return result;
+        }
+
+
+        /**
+         * Convert something to a buffer like toBuffer(), but compress the
+         * value without blocking.  The callback is always called
+         * asynchronously.
+         *
+         * @param {*} thing
+         * @param {Function(Error,Buffer)} callback
+         */
+        toBufferAsync(thing, callback) {
+            var finish, options, record;
+
+            options = this.options;
+            finish = (compressed) => {
+                var buffWriter;
+
+                buffWriter = new BufferWriter();
+                toBufferEnvelope(this, record, compressed, buffWriter);
+                callback(null, buffWriter.toBuffer());
+            };
+
+            try {
+                record = toBufferRecord(this, thing);
+            } catch (err) {
+                return process.nextTick(callback, err);
+            }
+
+            if (!options.compression || record.length < options.compressionThreshold) {
+                return process.nextTick(finish, null);
+            }
+
+            compression.compress(compression.id(options.compression), record, (err, compressed) => {
+                if (err) {
+                    return callback(err);
+                }
+
+                return finish(compressed);
+            });
+        }
+
+
+        /**
+         * Convert something to a single frame.  See fromFrame().
+         *
+         * @param {*} thing
+         * @return {Buffer}
+         */
+        toFrame(thing) {
+            return this.toFrames([
+                thing
+            ]);
+        }
+
+
+        /**
+         * Convert a list of things to frames, one after another, in a
+         * single buffer.  See fromFrame().
+         *
+         * @param {Array} things
+         * @return {Buffer}
+         */
+        toFrames(things) {
+            var buff, buffWriter, i;
 
             buffWriter = new BufferWriter();
-            buffWriter.uint8(0);
-            this.toBufferInternal(thing, buffWriter);
+
+            for (i = 0; i < things.length; i += 1) {
+                buff = this.toBuffer(things[i]);
+                buffWriter.size(buff.length);
+                buffWriter.buffer(buff);
+            }
 
             return buffWriter.toBuffer();
         }
@@ -636,14 +3009,15 @@ module.exports = function (BufferReader, BufferWriter) {
 
         /**
          * Convert something to a buffer, writing it using the passed
-         * BufferWriter instance.
+         * BufferWriter instance.  Registered helpers are checked before
+         * the built-in encoders, so they can replace them.
          *
          * @param {*} thing
          * @param {BufferWriter} buffWriter
-         * @throws {Error} when encountering an invalid type
+         * @throws {UnsupportedTypeError} when encountering an invalid type
          */
         toBufferInternal(thing, buffWriter) {
-            var type;
+            var helper, type;
 
             type = typeof thing;
 
@@ -653,6 +3027,17 @@ module.exports = function (BufferReader, BufferWriter) {
                     return buffWriter.uint8(0x6e); // n
                 }
 
+                if (buffWriter.references && buffWriter.references.has(thing)) {
+                    buffWriter.uint8(0x72); // r
+                    return buffWriter.size(buffWriter.references.get(thing));
+                }
+
+                helper = findHelper(this, thing, type);
+
+                if (helper) {
+                    return toBufferInternalObjectHelper(this, helper, thing, buffWriter);
+                }
+
                 if (Array.isArray(thing)) {
                     return toBufferInternalArray(this, thing, buffWriter);
                 }
@@ -660,6 +3045,15 @@ module.exports = function (BufferReader, BufferWriter) {
                 return toBufferInternalObject(this, thing, buffWriter);
             }
 
+            // Only look for helpers when some were registered for the type
+            if (this.helpersByType.has(type)) {
+                helper = findHelper(this, thing, type);
+
+                if (helper) {
+                    return toBufferInternalObjectHelper(this, helper, thing, buffWriter);
+                }
+            }
+
             if (type === "string") {
                 // Does not need the serializer
                 return toBufferInternalString(thing, buffWriter);
@@ -675,9 +3069,89 @@ module.exports = function (BufferReader, BufferWriter) {
                 return toBufferInternalBoolean(thing, buffWriter);
             }
 
-            throw new Error("Invalid type: " + type)
+            if (type === "bigint") {
+                buffWriter.uint8(0x62); // b
+                return buffWriter.bigint(thing);
+            }
+
+            if (type === "undefined") {
+                return buffWriter.uint8(0x75); // u
+            }
+
+            throw new errors.UnsupportedTypeError(type, buffWriter.length, buffWriter.path);
+        }
+
+
+        /**
+         * Write something, including the header, using the passed
+         * BufferWriter.  This sets up the writer for a new value, so the
+         * same writer can be used for several values in a row.
+         *
+         * See fromBufferReader() for the header.
+         *
+         * @param {*} thing
+         * @param {BufferWriter} buffWriter
+         */
+        toBufferWriter(thing, buffWriter) {
+            var compressed, options, record;
+
+            options = this.options;
+
+            if (!options.checksum && !options.compression && options.keyId === null) {
+                buffWriter.uint8(options.version);
+
+                return toBufferValue(this, thing, buffWriter);
+            }
+
+            // Sizes go before the value, so write the value first
+            record = toBufferRecord(this, thing);
+            compressed = null;
+
+            if (options.compression && record.length >= options.compressionThreshold) {
+                compressed = compression.compressSync(compression.id(options.compression), record);
+            }
+
+            toBufferEnvelope(this, record, compressed, buffWriter);
+        }
+
+
+        /**
+         * Writes the same bytes as toBufferWriter(), but pauses between
+         * the elements of arrays, plain objects, Maps and Sets.  Each
+         * call to next() writes a little more and the value is done when
+         * the generator is.  StreamEncoder uses this to stop writing
+         * while the stream is full.
+         *
+         * The value must not change until it is done.  Compressed,
+         * sealed and checksummed values are written all at once because
+         * the whole value is needed first.
+         *
+         * @param {*} thing
+         * @param {BufferWriter} buffWriter
+         */
+        *toBufferSteps(thing, buffWriter) {
+            var options;
+
+            options = this.options;
+
+            if (options.checksum || options.compression || options.keyId !== null) {
+                this.toBufferWriter(thing, buffWriter);
+
+                return;
+            }
+
+            buffWriter.uint8(options.version);
+            prepareWriter(this, buffWriter);
+            yield* toBufferStepsValue(this, thing, buffWriter);
         }
     }
 
+    // The error classes are available as BufferSerializer.TruncatedError
+    // and so on, for instanceof checks.
+    Object.assign(BufferSerializer, errors);
+
+    // Versions of the format that can be read and written, oldest first
+    BufferSerializer.versions = formats.map((format, version) => version);
+
     return BufferSerializer;
 }
@@ -0,0 +1,180 @@
+"use strict";
+/**
+ * Decodes values that arrive in pieces, such as data from a socket.
+ * Chunks are fed in as they arrive and every value that is complete
+ * is returned.  The values are back-to-back, each one exactly as
+ * BufferSerializer's toBuffer() would write it, or as frames from
+ * toFrame() when using the framed option.
+ */
+
+module.exports = function (BufferReader, errors) {
+    class StreamDecoder {
+        /**
+         * Creates a decoder that uses a BufferSerializer to decode the
+         * values.  The serializer needs to have the same custom helpers
+         * that were used to write the data.
+         *
+         * Other options are used for decoding, see BufferReader.
+         *
+         * @param {BufferSerializer} serializer
+         * @param {Object} [options]
+         * @param {boolean} [options.framed=false] Values are frames that
+         *   start with their size, which avoids decoding partial values.
+         */
+        constructor(serializer, options) {
+            options = options || {};
+            this.buffReader = null;
+            this.data = Buffer.alloc(0);
+            this.framed = !!options.framed;
+            this.length = 0;
+            this.needed = 0;
+            this.options = options;
+            this.serializer = serializer;
+            this.start = 0;
+            this.steps = null;
+        }
+
+
+        /**
+         * Adds a chunk after the pending data.  The memory grows by at
+         * least double, so adding many small chunks stays fast.  Bytes
+         * before the end are never written again because decoded values
+         * may share memory with them.
+         *
+         * @param {Buffer} chunk
+         */
+        append(chunk) {
+            var data, pending;
+
+            if (this.length + chunk.length > this.data.length) {
+                pending = this.length - this.start;
+                data = Buffer.allocUnsafe(Math.max(pending * 2, pending + chunk.length));
+                this.data.copy(data, 0, this.start, this.length);
+                this.data = data;
+                this.length = pending;
+                this.start = 0;
+            }
+
+            chunk.copy(this.data, this.length);
+            this.length += chunk.length;
+        }
+
+
+        /**
+         * Signals that there is no more data.
+         *
+         * @throws {TruncatedError} when the data stopped in the middle of a value
+         */
+        end() {
+            if (this.length > this.start) {
+                throw new errors.TruncatedError("Stream ended in the middle of a value", this.length - this.start);
+            }
+        }
+
+
+        /**
+         * Adds a chunk of data and decodes every value that is now
+         * complete.  When a value is only partially available, nothing
+         * is done until there is enough data for the read that stopped
+         * it.  Arrays, objects, Maps and Sets then continue from the
+         * element that was cut off.  A frame is only decoded once all of
+         * it arrived.
+         *
+         * @param {Buffer} chunk
+         * @return {Array} Values that were decoded, in order
+         * @throws {BufferSerializerError} when the data can not be decoded
+         */
+        feed(chunk) {
+            var frame, result;
+
+            this.append(chunk);
+            result = [];
+
+            if (this.length - this.start < this.needed) {
+                return result;
+            }
+
+            this.needed = 0;
+
+            while (this.length > this.start) {
+                frame = this.next(this.data.slice(this.start, this.length));
+
+                if (!frame) {
+                    return result;
+                }
+
+                result.push(frame.data);
+                this.start += frame.offset;
+            }
+
+            return result;
+        }
+
+
+        /**
+         * Decodes the next value from the start of the pending data, or
+         * continues decoding it.
+         *
+         * @param {Buffer} pending
+         * @return {?{data: *, offset: number}} Null when more data is
+         *   needed
+         * @throws {BufferSerializerError} when the value is invalid
+         */
+        next(pending) {
+            var step;
+
+            if (this.framed) {
+                try {
+                    return this.serializer.fromFrame(pending, 0, this.options);
+                } catch (err) {
+                    if (err.code !== "ETRUNCATED") {
+                        throw err;
+                    }
+
+                    return this.wait(err, pending);
+                }
+            }
+
+            if (this.steps) {
+                this.buffReader.readBuffer = pending;
+            } else {
+                this.buffReader = new BufferReader(pending, 0, this.options);
+                this.steps = this.serializer.fromBufferSteps(this.buffReader);
+            }
+
+            try {
+                step = this.steps.next();
+            } catch (err) {
+                this.steps = null;
+                throw err;
+            }
+
+            if (!step.done) {
+                return this.wait(step.value, pending);
+            }
+
+            this.steps = null;
+
+            return {
+                data: step.value,
+                offset: this.buffReader.offset
+            };
+        }
+
+
+        /**
+         * Remembers how much data is needed before trying again.
+         *
+         * @param {TruncatedError} err
+         * @param {Buffer} pending
+         * @return {null}
+         */
+        wait(err, pending) {
+            this.needed = Math.max(err.needed || 0, pending.length + 1);
+
+            return null;
+        }
+    }
+
+    return StreamDecoder;
+}
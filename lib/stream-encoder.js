@@ -0,0 +1,290 @@
+"use strict";
+/**
+ * Encodes values directly to a writable stream.  The bytes are sent to
+ * the stream in chunks while the value is being encoded instead of
+ * building one large Buffer first.  The bytes are identical to what
+ * BufferSerializer's toBuffer() returns, or toFrame() when using the
+ * framed option.
+ */
+
+module.exports = function (BufferWriter) {
+    /**
+     * A BufferWriter that hands off its data whenever a chunk is full.
+     */
+    class ChunkWriter extends BufferWriter {
+        /**
+         * @param {number} chunkSize Maximum number of bytes per chunk,
+         *   unless a single Buffer is larger
+         * @param {Function(Buffer)} chunkFn Receives each chunk
+         */
+        constructor(chunkSize, chunkFn) {
+            super(chunkSize);
+            this.chunkFn = chunkFn;
+            this.chunkSize = chunkSize;
+        }
+
+
+        /**
+         * Large buffers are sent as their own chunk instead of being
+         * copied.
+         *
+         * @param {Buffer} buff
+         */
+        buffer(buff) {
+            if (buff.length < this.chunkSize) {
+                super.buffer(buff);
+
+                return;
+            }
+
+            this.flush();
+            this.chunkFn(buff);
+        }
+
+
+        /**
+         * Sends any collected data.  The memory is reused for the next
+         * chunk, so the data is copied.
+         */
+        flush() {
+            var chunk;
+
+            if (this.length) {
+                chunk = Buffer.from(this.toBuffer());
+
+                // Not reset() because references must be kept
+                this.length = 0;
+                this.chunkFn(chunk);
+            }
+        }
+
+
+        /**
+         * Sends the collected data when there is not enough room in the
+         * chunk for more bytes.
+         *
+         * @param {number} length
+         */
+        reserve(length) {
+            if (this.length + length > this.chunkSize) {
+                this.flush();
+            }
+
+            super.reserve(length);
+        }
+    }
+
+    class StreamEncoder {
+        /**
+         * Creates an encoder that writes to a stream.
+         *
+         * @param {BufferSerializer} serializer
+         * @param {stream.Writable} writable
+         * @param {Object} [options]
+         * @param {number} [options.chunkSize=65536] Bytes to collect
+         *   before writing them to the stream.
+         * @param {boolean} [options.framed=false] Write each value as a
+         *   frame.  The size of a frame is needed before the value, so
+         *   each value is built in memory first.
+         */
+        constructor(serializer, writable, options) {
+            options = options || {};
+            this.framed = !!options.framed;
+            this.pending = [];
+            this.ready = true;
+            this.sent = false;
+            this.serializer = serializer;
+            this.steps = null;
+            this.writable = writable;
+            this.buffWriter = new ChunkWriter(options.chunkSize || 65536, (chunk) => {
+                this.sent = true;
+
+                if (!this.writable.write(chunk) && this.ready) {
+                    this.ready = false;
+                    this.writable.once("drain", () => {
+                        this.ready = true;
+                        this.encode(false);
+                    });
+                }
+            });
+        }
+
+
+        /**
+         * Works through the pending values in order.  Encoding stops when
+         * the stream is full and continues when it drains.
+         *
+         * @param {boolean} throwErrors Throw encoding errors instead of
+         *   passing them to the callback
+         */
+        encode(throwErrors) {
+            var item;
+
+            while (this.pending.length) {
+                item = this.pending[0];
+
+                if (item.end) {
+                    this.pending.shift();
+                    this.writable.end(item.callback);
+
+                    return;
+                }
+
+                if (!this.ready) {
+                    return;
+                }
+
+                try {
+                    if (!this.steps) {
+                        this.sent = false;
+                    }
+
+                    // Frames are built all at once
+                    if (this.framed) {
+                        this.buffWriter.buffer(this.serializer.toFrame(item.thing));
+                    } else if (!this.encodeSteps(item.thing)) {
+                        return;
+                    }
+
+                    this.buffWriter.flush();
+                } catch (err) {
+                    this.fail(err, throwErrors);
+                    continue;
+                }
+
+                this.pending.shift();
+
+                if (item.callback) {
+                    if (this.ready) {
+                        process.nextTick(item.callback);
+                    } else {
+                        this.writable.once("drain", item.callback);
+                    }
+                }
+            }
+        }
+
+
+        /**
+         * Continues encoding a value until it is done or the stream is
+         * full.
+         *
+         * @param {*} thing
+         * @return {boolean} True when the value is done
+         */
+        encodeSteps(thing) {
+            var step;
+
+            if (!this.steps) {
+                this.steps = this.serializer.toBufferSteps(thing, this.buffWriter);
+            }
+
+            do {
+                step = this.steps.next();
+            } while (!step.done && this.ready);
+
+            if (step.done) {
+                this.steps = null;
+            }
+
+            return step.done;
+        }
+
+
+        /**
+         * Ends the stream after the pending values are written.
+         *
+         * @param {Function} [callback] Called when the stream finishes
+         */
+        end(callback) {
+            this.pending.push({
+                callback: callback,
+                end: true
+            });
+
+            if (this.pending.length === 1) {
+                this.encode(false);
+            }
+        }
+
+
+        /**
+         * Handles a value that can not be encoded.  The bytes of it that
+         * were not sent yet are discarded.  Bytes that were already sent
+         * can not be taken back and a reader could not make sense of
+         * what follows them, so then the stream is destroyed and the
+         * values after it are not written.  The stream is also destroyed
+         * when there is no other way to report the error.
+         *
+         * @param {Error} err
+         * @param {boolean} throwErrors
+         * @throws {Error} when throwErrors is set
+         */
+        fail(err, throwErrors) {
+            var item, skipped;
+
+            this.buffWriter.length = 0;
+            this.steps = null;
+            item = this.pending.shift();
+
+            if (this.sent || !throwErrors && !item.callback) {
+                skipped = this.pending;
+                this.pending = [];
+
+                // Node before 8 does not have destroy()
+                if (this.writable.destroy) {
+                    this.writable.destroy(err);
+                } else {
+                    this.writable.emit("error", err);
+                }
+
+                skipped.forEach((skippedItem) => {
+                    if (skippedItem.callback) {
+                        process.nextTick(skippedItem.callback, err);
+                    }
+                });
+            }
+
+            if (throwErrors) {
+                throw err;
+            }
+
+            if (item.callback) {
+                process.nextTick(item.callback, err);
+            }
+        }
+
+
+        /**
+         * Encodes a value and writes it to the stream.
+         *
+         * The value is sent to the stream in chunks as it is encoded.
+         * When the stream is full, encoding pauses between the elements
+         * of arrays, objects, Maps and Sets until the stream drains, so
+         * the value must not be changed until the callback is called.
+         * Values that are written while another is still being encoded
+         * wait for their turn.
+         *
+         * When a value can not be encoded, the error is thrown if that
+         * happens before write() returns.  Otherwise it is passed to the
+         * callback.  See fail() for what happens to the stream.
+         *
+         * @param {*} thing
+         * @param {Function} [callback] Called with an error or when
+         *   ready for more values
+         * @throws {Error} when the value can not be encoded
+         */
+        write(thing, callback) {
+            this.pending.push({
+                callback: callback,
+                thing: thing
+            });
+
+            if (this.pending.length === 1) {
+                this.encode(true);
+            }
+        }
+    }
+
+    return StreamEncoder;
+}
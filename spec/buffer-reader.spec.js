@@ -1,24 +1,31 @@
 "use strict";
+/*global BigInt*/
 
 describe("BufferReader", () => {
     var BufferReader;
 
     beforeEach(() => {
-        BufferReader = require("../lib/buffer-reader")();
+        BufferReader = require("../lib/buffer-reader")(require("../lib/errors")());
     });
     it("exports a class", () => {
         expect(BufferReader).toEqual(jasmine.any(Function));
     });
     [
+        "bigint",
         "buffer",
+        "checkLimit",
         "double",
+        "ensure",
         "peek",
         "size",
         "skip",
         "string",
         "uint8",
         "uint16",
-        "uint32"
+        "uint32",
+        "uint48",
+        "uint56",
+        "utf8String"
     ].forEach((methodName) => {
         it("exposes the method: " + methodName, () => {
             var br;
@@ -29,6 +36,32 @@ describe("BufferReader", () => {
             expect(br[methodName]).toEqual(jasmine.any(Function));
         });
     });
+    it("reads BigInts", () => {
+        var br;
+
+        br = new BufferReader(Buffer.from("2B002D0201002B08FFFFFFFFFFFFFFFF", "hex"));
+        expect(br.bigint()).toBe(BigInt(0));
+        expect(br.bigint()).toBe(BigInt(-256));
+        expect(br.bigint()).toBe(BigInt("18446744073709551615"));
+        expect(br.offset).toBe(16);
+    });
+    it("starts with no references or interned strings", () => {
+        var br;
+
+        br = new BufferReader(Buffer.alloc(1));
+        expect(br.references).toEqual([]);
+        expect(br.strings).toEqual([]);
+    });
+    it("errors when the offset is not in the buffer", () => {
+        [
+            -1,
+            4,
+            1.5
+        ].forEach((offset) => {
+            expect(() => new BufferReader(Buffer.alloc(3), offset)).toThrow(new Error("Invalid offset: " + offset));
+        });
+        expect(() => new BufferReader(Buffer.alloc(3), 3)).not.toThrow();
+    });
     it("reads a buffer", () => {
         var br, buff;
 
@@ -40,6 +73,85 @@ describe("BufferReader", () => {
         expect(buff.length).toBe(1);
         expect(buff.toString("binary")).toBe("f");
     });
+    it("errors when reading past the end", () => {
+        var br, err;
+
+        br = new BufferReader(Buffer.from("abc"), 1);
+        expect(() => {
+            br.ensure(2);
+        }).not.toThrow();
+
+        try {
+            br.buffer(3);
+        } catch (e) {
+            err = e;
+        }
+
+        expect(err.code).toBe("ETRUNCATED");
+        expect(err.needed).toBe(4);
+        expect(br.offset).toBe(1);
+        expect(() => {
+            br.string(3);
+        }).toThrow();
+        expect(() => {
+            br.uint32();
+        }).toThrow();
+    });
+    it("shares memory when reading buffers", () => {
+        var buff, source;
+
+        source = Buffer.from("abcd");
+        buff = new BufferReader(source, 1).buffer(2);
+        source.fill(0x7A);
+        expect(buff.toString()).toBe("zz");
+    });
+    it("copies buffers when requested", () => {
+        var buff, source;
+
+        source = Buffer.from("abcd");
+        buff = new BufferReader(source, 1, {
+            copy: true
+        }).buffer(2);
+        source.fill(0x7A);
+        expect(buff.toString()).toBe("bc");
+    });
+    it("errors when going beyond a limit", () => {
+        var br, err;
+
+        br = new BufferReader(Buffer.from("abcdefg"), 1, {
+            maxBufferLength: 2,
+            maxBytes: 5,
+            maxStringLength: 3
+        });
+        expect(br.buffer(2).toString()).toBe("bc");
+        expect(() => {
+            br.buffer(3);
+        }).toThrow(new Error("Limit exceeded: maxBufferLength"));
+        expect(() => {
+            br.string(4);
+        }).toThrow(new Error("Limit exceeded: maxStringLength"));
+        expect(br.string(3)).toBe("def");
+
+        try {
+            br.uint8();
+        } catch (e) {
+            err = e;
+        }
+
+        expect(err.code).toBe("ELIMIT");
+        expect(err.limit).toBe("maxBytes");
+        expect(br.offset).toBe(6);
+    });
+    it("checks limits before checking for the end", () => {
+        var br;
+
+        br = new BufferReader(Buffer.alloc(1), 0, {
+            maxStringLength: 10
+        });
+        expect(() => {
+            br.utf8String(0x1FFFFFFF);
+        }).toThrow(new Error("Limit exceeded: maxStringLength"));
+    });
     it("reads a double", () => {
         var br, buff;
 
@@ -99,6 +211,14 @@ describe("BufferReader", () => {
         expect(br.string(5)).toBe("efghi");
         expect(br.string(3)).toBe("jkl");
     });
+    it("reads a UTF-8 string", () => {
+        var br;
+
+        br = new BufferReader(Buffer.from("61E282ACF09F9880", "hex"), 1);
+        expect(br.utf8String(3)).toBe("\u20AC");
+        expect(br.utf8String(4)).toBe("\uD83D\uDE00");
+        expect(br.offset).toBe(8);
+    });
     it("reads different sized integers", () => {
         var br, buff;
 
@@ -115,4 +235,12 @@ describe("BufferReader", () => {
         expect(br.uint16()).toBe(0x8002);
         expect(br.uint32()).toBe(0xC0000004);
     });
+    it("reads 48-bit and 56-bit integers", () => {
+        var br;
+
+        br = new BufferReader(Buffer.from("0123456789AB1FFFFFFFFFFFFF", "hex"));
+        expect(br.uint48()).toBe(0x0123456789AB);
+        expect(br.uint56()).toBe(Number.MAX_SAFE_INTEGER);
+        expect(br.offset).toBe(13);
+    });
 });
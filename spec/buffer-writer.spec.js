@@ -1,10 +1,11 @@
 "use strict";
+/*global BigInt, Map*/
 
 describe("BufferWriter", () => {
     var BufferWriter;
 
     beforeEach(() => {
-        BufferWriter = require("../lib/buffer-writer")();
+        BufferWriter = require("../lib/buffer-writer")(require("../lib/errors")());
     });
     it("makes an object", () => {
         expect(() => {
@@ -12,14 +13,20 @@ describe("BufferWriter", () => {
         }).not.toThrow();
     });
     [
+        "bigint",
         "buffer",
         "double",
+        "reserve",
+        "reset",
         "size",
         "string",
         "toBuffer",
         "uint8",
         "uint16",
-        "uint32"
+        "uint32",
+        "uint48",
+        "uint56",
+        "utf8String"
     ].forEach((methodName) => {
         it("exposes the method " + methodName, () => {
             var bw;
@@ -28,6 +35,60 @@ describe("BufferWriter", () => {
             expect(bw[methodName]).toEqual(jasmine.any(Function));
         });
     });
+    it("writes BigInts", () => {
+        var buff, bw;
+
+        bw = new BufferWriter();
+        bw.bigint(BigInt(0));
+        bw.bigint(BigInt(-256));
+        bw.bigint(BigInt("18446744073709551615"));
+        buff = bw.toBuffer();
+        expect(buff.toString("hex").toUpperCase()).toBe("2B002D0201002B08FFFFFFFFFFFFFFFF");
+    });
+    it("does not track references or strings by default", () => {
+        var bw;
+
+        bw = new BufferWriter();
+        expect(bw.references).toBe(null);
+        expect(bw.strings).toBe(null);
+    });
+    it("grows as more is written", () => {
+        var buff, bw, i;
+
+        bw = new BufferWriter(2);
+
+        for (i = 0; i < 100; i += 1) {
+            bw.uint8(i);
+        }
+
+        bw.buffer(Buffer.alloc(1000, 0xFF));
+        buff = bw.toBuffer();
+        expect(buff.length).toBe(1100);
+        expect(buff[0]).toBe(0);
+        expect(buff[99]).toBe(99);
+        expect(buff[1099]).toBe(0xFF);
+    });
+    it("reserves room without writing", () => {
+        var bw;
+
+        bw = new BufferWriter(4);
+        bw.uint8(1);
+        bw.reserve(100);
+        expect(bw.data.length).toBeGreaterThan(100);
+        expect(bw.length).toBe(1);
+        expect(bw.toBuffer().toString("hex")).toBe("01");
+    });
+    it("resets to write again", () => {
+        var bw;
+
+        bw = new BufferWriter();
+        bw.string("abc");
+        bw.references = new Map();
+        bw.reset();
+        expect(bw.references).toBe(null);
+        bw.string("d");
+        expect(bw.toBuffer().toString("binary")).toBe("d");
+    });
     it("writes a buffer", () => {
         var buff, bw;
 
@@ -96,4 +157,23 @@ describe("BufferWriter", () => {
         expect(buff).toEqual(jasmine.any(Buffer));
         expect(buff.toString("hex").toUpperCase()).toBe("0123456789ABCD");
     });
+    it("writes 48-bit and 56-bit integers", () => {
+        var buff, bw;
+
+        bw = new BufferWriter();
+        bw.uint48(0x0123456789AB);
+        bw.uint56(Number.MAX_SAFE_INTEGER);
+        buff = bw.toBuffer();
+        expect(buff.toString("hex").toUpperCase()).toBe("0123456789AB1FFFFFFFFFFFFF");
+    });
+    it("writes UTF-8 strings", () => {
+        var buff, bw;
+
+        bw = new BufferWriter();
+        bw.utf8String("a\u20AC");
+        bw.utf8String("\uD83D\uDE00");
+        buff = bw.toBuffer();
+        expect(buff).toEqual(jasmine.any(Buffer));
+        expect(buff.toString("hex").toUpperCase()).toBe("61E282ACF09F9880");
+    });
 });
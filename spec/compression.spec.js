@@ -0,0 +1,149 @@
+"use strict";
+
+describe("compression", () => {
+    var compression, errors, itLimits, zlib;
+
+    // Node before 12.19 can not limit the decompressed length
+    itLimits = require("../lib/compression")(require("zlib"), require("../lib/errors")()).limitsOutput ? it : xit;
+
+    beforeEach(() => {
+        zlib = require("zlib");
+        errors = require("../lib/errors")();
+        compression = require("../lib/compression")(zlib, errors);
+    });
+    it("looks up algorithms by name", () => {
+        expect(compression.id("deflate")).toBe(1);
+        expect(compression.id("brotli")).toBe(2);
+        expect(() => {
+            compression.id("lzma");
+        }).toThrow(new Error("Unknown compression algorithm: lzma"));
+    });
+    [
+        "deflate",
+        "brotli"
+    ].forEach((name) => {
+        it("compresses and decompresses with " + name, () => {
+            var buff, compressed, id;
+
+            buff = Buffer.alloc(1000, "abc");
+            id = compression.id(name);
+            compressed = compression.compressSync(id, buff);
+            expect(compressed.length).toBeLessThan(100);
+            expect(compression.decompressSync(id, compressed, Infinity, "maxBytes").equals(buff)).toBe(true);
+        });
+        it("compresses and decompresses asynchronously with " + name, () => {
+            var buff, id, result;
+
+            buff = Buffer.alloc(1000, "abc");
+            id = compression.id(name);
+            compression.compress(id, buff, (err, compressed) => {
+                expect(err).toBe(null);
+                compression.decompress(id, compressed, Infinity, "maxBytes", (err2, decompressed) => {
+                    expect(err2).toBe(null);
+                    result = decompressed;
+                });
+            });
+            waitsFor(() => {
+                return result;
+            });
+            runs(() => {
+                expect(result.equals(buff)).toBe(true);
+            });
+        });
+    });
+    itLimits("limits the decompressed length", () => {
+        var compressed;
+
+        compressed = compression.compressSync(1, Buffer.alloc(1000));
+        expect(compression.decompressSync(1, compressed, 1000, "maxBytes").length).toBe(1000);
+        expect(() => {
+            compression.decompressSync(1, compressed, 999, "maxBytes");
+        }).toThrow(new Error("Limit exceeded: maxBytes"));
+    });
+    itLimits("limits the decompressed length asynchronously", () => {
+        var compressed, result;
+
+        compressed = compression.compressSync(2, Buffer.alloc(1000));
+        compression.decompress(2, compressed, 10, "maxDecompressedBytes", (err) => {
+            result = err;
+        });
+        waitsFor(() => {
+            return result;
+        });
+        runs(() => {
+            expect(result instanceof errors.LimitExceededError).toBe(true);
+            expect(result.limit).toBe("maxDecompressedBytes");
+        });
+    });
+    describe("on older versions of Node", () => {
+        var oldCompression;
+
+        beforeEach(() => {
+            // No brotli and maxOutputLength is ignored
+            oldCompression = require("../lib/compression")({
+                deflateRaw: zlib.deflateRaw,
+                deflateRawSync: zlib.deflateRawSync,
+                inflateRaw: (buff, options, callback) => {
+                    zlib.inflateRaw(buff, callback);
+                },
+                inflateRawSync: (buff) => {
+                    return zlib.inflateRawSync(buff);
+                }
+            }, errors);
+        });
+        it("errors when brotli is used", () => {
+            expect(() => {
+                oldCompression.id("brotli");
+            }).toThrow(new Error("Compression algorithm is not supported by this version of Node: brotli"));
+            expect(() => {
+                oldCompression.decompressSync(2, Buffer.alloc(1), Infinity, "maxBytes");
+            }).toThrow(new Error("Compression algorithm is not supported by this version of Node: brotli"));
+        });
+        it("errors instead of decompressing with a limit", () => {
+            var compressed, result;
+
+            expect(oldCompression.limitsOutput).toBe(false);
+            compressed = oldCompression.compressSync(1, Buffer.alloc(1000));
+            expect(oldCompression.decompressSync(1, compressed, Infinity, "maxBytes").length).toBe(1000);
+            expect(() => {
+                oldCompression.decompressSync(1, compressed, 2000, "maxBytes");
+            }).toThrow(new Error("Decompressing with a limit needs Node 12.19 or later"));
+            oldCompression.decompress(1, compressed, 2000, "maxBytes", (err) => {
+                result = err;
+            });
+            waitsFor(() => {
+                return result;
+            });
+            runs(() => {
+                expect(result.message).toBe("Decompressing with a limit needs Node 12.19 or later");
+            });
+        });
+    });
+    it("errors with data that is not compressed", () => {
+        expect(() => {
+            compression.decompressSync(1, Buffer.from("FFFFFFFF", "hex"), Infinity, "maxBytes");
+        }).toThrow();
+
+        try {
+            compression.decompressSync(1, Buffer.from("FFFFFFFF", "hex"), Infinity, "maxBytes");
+        } catch (err) {
+            expect(err instanceof errors.InvalidDataError).toBe(true);
+        }
+    });
+    it("errors with an unknown algorithm", () => {
+        var result;
+
+        expect(() => {
+            compression.decompressSync(9, Buffer.alloc(1), Infinity, "maxBytes");
+        }).toThrow(new Error("Unknown compression algorithm: 9"));
+        compression.decompress(0, Buffer.alloc(1), Infinity, "maxBytes", (err) => {
+            result = err;
+        });
+        waitsFor(() => {
+            return result;
+        });
+        runs(() => {
+            expect(result instanceof errors.InvalidDataError).toBe(true);
+        });
+    });
+});
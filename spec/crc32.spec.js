@@ -0,0 +1,37 @@
+"use strict";
+
+describe("crc32", () => {
+    var crc32;
+
+    beforeEach(() => {
+        crc32 = require("../lib/crc32")();
+    });
+    it("exports a function", () => {
+        expect(crc32).toEqual(jasmine.any(Function));
+    });
+    [
+        {
+            crc: 0,
+            hex: ""
+        },
+        {
+            // "123456789" is the standard check value
+            crc: 0xCBF43926,
+            hex: "313233343536373839"
+        },
+        {
+            crc: 0x352441C2,
+            hex: "616263"
+        }
+    ].forEach((scenario) => {
+        it("calculates the checksum of " + (scenario.hex || "nothing"), () => {
+            expect(crc32(Buffer.from(scenario.hex, "hex"))).toBe(scenario.crc);
+        });
+    });
+    it("continues a checksum", () => {
+        var buff;
+
+        buff = Buffer.from("The quick brown fox");
+        expect(crc32(buff.slice(9), crc32(buff.slice(0, 9)))).toBe(crc32(buff));
+    });
+});
@@ -0,0 +1,97 @@
+"use strict";
+
+describe("encryption", () => {
+    var aad, encryption, errors, plaintext;
+
+    beforeEach(() => {
+        errors = require("../lib/errors")();
+        encryption = require("../lib/encryption")(require("crypto"), errors);
+        aad = Buffer.from("header", "utf8");
+        plaintext = Buffer.from("secret session state", "utf8");
+    });
+    it("checks keys", () => {
+        encryption.checkKey(Buffer.alloc(16));
+        encryption.checkKey(Buffer.alloc(24));
+        encryption.checkKey(Buffer.alloc(32));
+        [
+            Buffer.alloc(31),
+            "0123456789abcdef",
+            null
+        ].forEach((key) => {
+            expect(() => {
+                encryption.checkKey(key);
+            }).toThrow(new Error("Key must be a Buffer of 16, 24 or 32 bytes"));
+        });
+    });
+    [
+        16,
+        24,
+        32
+    ].forEach((keyLength) => {
+        it("seals and opens with a key of " + keyLength + " bytes", () => {
+            var key, sealed;
+
+            key = Buffer.alloc(keyLength, 7);
+            sealed = encryption.seal(key, plaintext, aad);
+            expect(sealed.iv.length).toBe(encryption.ivLength);
+            expect(sealed.tag.length).toBe(encryption.tagLength);
+            expect(sealed.ciphertext.length).toBe(plaintext.length);
+            expect(sealed.ciphertext.equals(plaintext)).toBe(false);
+            expect(encryption.open(key, sealed, aad).equals(plaintext)).toBe(true);
+        });
+    });
+    it("uses a new initialization vector every time", () => {
+        var key;
+
+        key = Buffer.alloc(32, 7);
+        expect(encryption.seal(key, plaintext, aad).iv.equals(encryption.seal(key, plaintext, aad).iv)).toBe(false);
+    });
+    describe("detects tampering", () => {
+        var key, sealed;
+
+        /**
+         * Opens the sealed data and returns the error.
+         *
+         * @param {Buffer} openKey
+         * @param {Buffer} openAad
+         * @return {Error}
+         */
+        function openError(openKey, openAad) {
+            try {
+                encryption.open(openKey, sealed, openAad, 5);
+            } catch (err) {
+                return err;
+            }
+
+            return null;
+        }
+
+        beforeEach(() => {
+            key = Buffer.alloc(32, 7);
+            sealed = encryption.seal(key, plaintext, aad);
+        });
+        it("in the ciphertext", () => {
+            var err;
+
+            sealed.ciphertext[0] ^= 1;
+            err = openError(key, aad);
+            expect(err instanceof errors.TamperedError).toBe(true);
+            expect(err.offset).toBe(5);
+        });
+        it("in the tag", () => {
+            sealed.tag[15] ^= 1;
+            expect(openError(key, aad) instanceof errors.TamperedError).toBe(true);
+        });
+        it("in the initialization vector", () => {
+            sealed.iv[0] ^= 1;
+            expect(openError(key, aad) instanceof errors.TamperedError).toBe(true);
+        });
+        it("in the additional data", () => {
+            expect(openError(key, Buffer.from("Header", "utf8")) instanceof errors.TamperedError).toBe(true);
+        });
+        it("with the wrong key", () => {
+            expect(openError(Buffer.alloc(32, 8), aad) instanceof errors.TamperedError).toBe(true);
+            expect(openError(Buffer.alloc(16, 7), aad) instanceof errors.TamperedError).toBe(true);
+        });
+    });
+});
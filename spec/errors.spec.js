@@ -0,0 +1,76 @@
+"use strict";
+
+describe("errors", () => {
+    var errors;
+
+    beforeEach(() => {
+        errors = require("../lib/errors")();
+    });
+    [
+        "ChecksumError",
+        "InvalidDataError",
+        "InvalidSizeError",
+        "InvalidVersionError",
+        "LimitExceededError",
+        "TamperedError",
+        "TrailingDataError",
+        "TruncatedError",
+        "UnknownHelperError",
+        "UnknownKeyError",
+        "UnknownTypeCodeError",
+        "UnsupportedTypeError"
+    ].forEach((className) => {
+        it("extends BufferSerializerError: " + className, () => {
+            var err;
+
+            if (className === "ChecksumError") {
+                err = new errors[className](1, 2, 3, [
+                    "a"
+                ]);
+            } else if (className === "TamperedError" || className === "TrailingDataError") {
+                err = new errors[className](3, [
+                    "a"
+                ]);
+            } else {
+                err = new errors[className]("x", 3, [
+                    "a"
+                ]);
+            }
+
+            expect(err instanceof errors.BufferSerializerError).toBe(true);
+            expect(err instanceof Error).toBe(true);
+            expect(err.name).toBe(className);
+            expect(err.code).toMatch(/^E[A-Z]+$/);
+            expect(err.offset).toBe(3);
+            expect(err.path).toEqual([
+                "a"
+            ]);
+        });
+    });
+    it("copies the path", () => {
+        var err, path;
+
+        path = [
+            "a"
+        ];
+        err = new errors.TruncatedError("Unexpected end of stream", 1, path);
+        path.push(1);
+        expect(err.path).toEqual([
+            "a"
+        ]);
+    });
+    it("defaults to an empty path", () => {
+        expect(new errors.InvalidDataError("x").path).toEqual([]);
+    });
+    it("keeps details about the problem", () => {
+        expect(new errors.LimitExceededError("maxDepth").limit).toBe("maxDepth");
+        expect(new errors.TruncatedError("Unexpected end of stream", 1, [], 5).needed).toBe(5);
+        expect(new errors.UnknownHelperError("Thing").helperName).toBe("Thing");
+        expect(new errors.UnknownKeyError("2024").keyId).toBe("2024");
+        expect(new errors.UnknownTypeCodeError(0x99).typeCode).toBe(0x99);
+        expect(new errors.UnsupportedTypeError("symbol").type).toBe("symbol");
+        expect(new errors.InvalidVersionError(7).version).toBe(7);
+        expect(new errors.ChecksumError(1, 2).expected).toBe(1);
+        expect(new errors.ChecksumError(1, 2).actual).toBe(2);
+    });
+});
@@ -1,16 +1,38 @@
 "use strict";
+/*global ArrayBuffer, BigInt, DataView, Float64Array, Int32Array, Map, Set, Uint16Array, Uint8Array*/
 
 describe("serializer", () => {
-    var BufferReader, BufferWriter, serializer;
+    var BufferReader, BufferWriter, itDecompresses, serializer;
+
+    // Node before 12.19 can not read compressed data with a limit
+    itDecompresses = require("../lib/compression")(require("zlib"), require("../lib/errors")()).limitsOutput ? it : xit;
 
     beforeEach(() => {
-        var BufferSerializer;
+        var BufferSerializer, errors;
 
         BufferSerializer = require("../");
         serializer = new BufferSerializer();
-        BufferReader = require("../lib/buffer-reader")();
-        BufferWriter = require("../lib/buffer-writer")();
+        errors = require("../lib/errors")();
+        BufferReader = require("../lib/buffer-reader")(errors);
+        BufferWriter = require("../lib/buffer-writer")(errors);
     });
+
+    /**
+     * Calls the function and returns what it throws.
+     *
+     * @param {Function} fn
+     * @return {?Error}
+     */
+    function errorOf(fn) {
+        try {
+            fn();
+        } catch (e) {
+            return e;
+        }
+
+        return null;
+    }
+
     [
         {
             bufferHex: "2B3E",
@@ -50,6 +72,46 @@ describe("serializer", () => {
                 return a;
             })()
         },
+        {
+            //          A + 0 + 1 s 6 l e n g t h + 3 !
+            bufferHex: "412B002B0173066C656E6774682B0321",
+            name: "0x41 A Array, trailing holes",
+            raw: (() => {
+                var a;
+
+                a = [ 1 ];
+                a.length = 3;
+
+                return a;
+            })()
+        },
+        {
+            //          A + 0 u + 2 + 2 !
+            bufferHex: "412B00752B022B0221",
+            name: "0x41 A Array, hole and explicit undefined",
+            raw: (() => {
+                var a;
+
+                a = [ undefined ];
+                a[2] = 2;
+
+                return a;
+            })()
+        },
+        {
+            //          A + 1 t s 1 x + 2 !
+            bufferHex: "412B01747301782B0221",
+            name: "0x41 A Array, hole replaced by a property",
+            raw: (() => {
+                var a;
+
+                a = [];
+                a[1] = true;
+                a.x = 2;
+
+                return a;
+            })()
+        },
         {
             bufferHex: "420474657374",
             name: "0x42 B Buffer object",
@@ -65,6 +127,15 @@ describe("serializer", () => {
             name: "0x49 I negative 32-bit integer",
             raw: -203040
         },
+        {
+            //          M + 1 s 3 o n e t f !
+            bufferHex: "4D2B0173036F6E65746621",
+            name: "0x4D M Map object",
+            raw: new Map([
+                [ 1, "one" ],
+                [ true, false ]
+            ])
+        },
         {
             //          O s 3 o b j t !
             bufferHex: "4F73036F626A7421",
@@ -73,6 +144,14 @@ describe("serializer", () => {
                 obj: true
             }
         },
+        {
+            //          O s 1 u u !
+            bufferHex: "4F7301757521",
+            name: "0x4F O object, undefined property",
+            raw: {
+                u: undefined
+            }
+        },
         {
             bufferHex: "5000031920",
             name: "0x50 P positive 32-bit integer",
@@ -83,17 +162,62 @@ describe("serializer", () => {
             name: "0x52 R RegExp object",
             raw: new RegExp("patt", "gm")
         },
+        {
+            //          U 7 € 😀
+            bufferHex: "5507E282ACF09F9880",
+            name: "0x55 U string, UTF-8",
+            raw: "\u20AC\uD83D\uDE00"
+        },
+        {
+            //          S + 1 s 1 x !
+            bufferHex: "532B0173017821",
+            name: "0x53 S Set object",
+            raw: new Set([
+                1,
+                "x"
+            ])
+        },
         {
             bufferHex: "5456867270",
             name: "0x54 T Date object without milliseconds",
             raw: new Date("2016-01-01T12:34:56Z")
         },
+        {
+            //          V Uint16Array 4 0x0001 0x0203
+            bufferHex: "56060401000302",
+            name: "0x56 V typed array",
+            raw: new Uint16Array([ 1, 0x0203 ])
+        },
         {
             //          a + 1 t !
             bufferHex: "612B017421",
             name: "0x61 a Array, dense",
             raw: [ 1, true ]
         },
+        {
+            //          a u + 1 !
+            bufferHex: "61752B0121",
+            name: "0x61 a Array, dense with undefined",
+            raw: [ undefined, 1 ]
+        },
+        {
+            //          b + 0
+            bufferHex: "622B00",
+            name: "0x62 b BigInt, zero",
+            raw: BigInt(0)
+        },
+        {
+            //          b + 8 0x8000000000000001
+            bufferHex: "622B088000000000000001",
+            name: "0x62 b BigInt, positive",
+            raw: BigInt("9223372036854775809")
+        },
+        {
+            //          b - 3 0x012345
+            bufferHex: "622D03012345",
+            name: "0x62 b BigInt, negative",
+            raw: BigInt(-0x12345)
+        },
         {
             bufferHex: "643FF4000000000000",
             name: "0x64 d 8-byte double",
@@ -124,10 +248,21 @@ describe("serializer", () => {
             name: "0x73 s string",
             raw: "abc"
         },
+        {
+            //          s 4 c a f é
+            bufferHex: "7304636166E9",
+            name: "0x73 s string, Latin-1",
+            raw: "caf\u00E9"
+        },
         {
             bufferHex: "74",
             name: "0x74 t true",
             raw: true
+        },
+        {
+            bufferHex: "75",
+            name: "0x75 u undefined",
+            raw: undefined
         }
     ].forEach((scenario) => {
         it("serializes: " + scenario.name, () => {
@@ -173,9 +308,9 @@ describe("serializer", () => {
         });
     });
     describe("with bad input", () => {
-        it("fails with non-zero version identifier", () => {
+        it("fails with an unknown version identifier", () => {
             expect(() => {
-                serializer.fromBuffer(Buffer.from("0174", "hex"));
+                serializer.fromBuffer(Buffer.from("0F74", "hex"));
             }).toThrow();
         });
         it("errors when encountering an invalid code", () => {
@@ -198,44 +333,2320 @@ describe("serializer", () => {
                 serializer.toBuffer(Symbol());
             }).toThrow();
         });
-        it("fails with undefined", () => {
+    });
+    describe("error details", () => {
+        var BufferSerializer;
+
+        beforeEach(() => {
+            BufferSerializer = require("../");
+        });
+
+        it("exposes the error classes", () => {
+            expect(BufferSerializer.BufferSerializerError).toEqual(jasmine.any(Function));
+            expect(new BufferSerializer.TruncatedError("x") instanceof BufferSerializer.BufferSerializerError).toBe(true);
+        });
+        it("reports where an unknown type code is", () => {
+            var err;
+
+            //                                                    0 O s 1 a a + 1 ? ! !
+            err = errorOf(() => serializer.fromBuffer(Buffer.from("004F730161612B01992121", "hex")));
+            expect(err instanceof BufferSerializer.UnknownTypeCodeError).toBe(true);
+            expect(err.code).toBe("EUNKNOWNTYPE");
+            expect(err.typeCode).toBe(0x99);
+            expect(err.offset).toBe(8);
+            expect(err.path).toEqual([
+                "a",
+                1
+            ]);
+        });
+        it("reports truncated data", () => {
+            var err;
+
+            //                                                    0 a s 3 a b
+            err = errorOf(() => serializer.fromBuffer(Buffer.from("006173036162", "hex")));
+            expect(err instanceof BufferSerializer.TruncatedError).toBe(true);
+            expect(err.code).toBe("ETRUNCATED");
+            expect(err.offset).toBe(4);
+            expect(err.path).toEqual([
+                0
+            ]);
+        });
+        it("reports an invalid version", () => {
+            var err;
+
+            err = errorOf(() => serializer.fromBuffer(Buffer.from("0F74", "hex")));
+            expect(err instanceof BufferSerializer.InvalidVersionError).toBe(true);
+            expect(err.version).toBe(15);
+            expect(err.offset).toBe(0);
+        });
+        it("reports an unknown helper", () => {
+            var err;
+
+            err = errorOf(() => serializer.fromBuffer(Buffer.from("005A0178", "hex")));
+            expect(err instanceof BufferSerializer.UnknownHelperError).toBe(true);
+            expect(err.helperName).toBe("x");
+        });
+        it("reports invalid data", () => {
+            var err;
+
+            err = errorOf(() => serializer.fromBuffer(Buffer.from("007205", "hex")));
+            expect(err instanceof BufferSerializer.InvalidDataError).toBe(true);
+            expect(err.message).toBe("Invalid reference: 5");
+        });
+        it("reports the path of a limit", () => {
+            var err;
+
+            err = errorOf(() => serializer.fromBuffer(serializer.toBuffer(new Map([
+                [
+                    "k",
+                    new Set([
+                        "a",
+                        "long string"
+                    ])
+                ]
+            ])), 0, {
+                maxStringLength: 5
+            }));
+            expect(err instanceof BufferSerializer.LimitExceededError).toBe(true);
+            expect(err.path).toEqual([
+                "k",
+                1
+            ]);
+        });
+        it("reports where an unsupported type is", () => {
+            var err;
+
+            err = errorOf(() => serializer.toBuffer({
+                a: [
+                    1,
+                    Symbol()
+                ]
+            }));
+            expect(err instanceof BufferSerializer.UnsupportedTypeError).toBe(true);
+            expect(err.code).toBe("EUNSUPPORTED");
+            expect(err.type).toBe("symbol");
+            expect(err.offset).toBe(8);
+            expect(err.path).toEqual([
+                "a",
+                1
+            ]);
+        });
+        it("starts with an empty path for each value", () => {
+            var buffWriter, err;
+
+            buffWriter = new BufferWriter();
+            errorOf(() => serializer.toBufferWriter([
+                () => {}
+            ], buffWriter));
+            err = errorOf(() => serializer.toBufferWriter(() => {}, buffWriter));
+            expect(err.path).toEqual([]);
+        });
+    });
+    describe("special numbers", () => {
+        [
+            {
+                bufferHex: "648000000000000000",
+                name: "negative zero",
+                raw: -0
+            },
+            {
+                bufferHex: "647FF8000000000000",
+                name: "NaN",
+                raw: NaN
+            },
+            {
+                bufferHex: "647FF0000000000000",
+                name: "Infinity",
+                raw: Infinity
+            },
+            {
+                bufferHex: "64FFF0000000000000",
+                name: "negative Infinity",
+                raw: -Infinity
+            }
+        ].forEach((scenario) => {
+            it("serializes: " + scenario.name, () => {
+                var buff;
+
+                buff = serializer.toBuffer(scenario.raw);
+                expect(buff.toString("hex").toUpperCase()).toBe("00" + scenario.bufferHex);
+            });
+            it("deserializes: " + scenario.name, () => {
+                var result;
+
+                result = serializer.fromBuffer(Buffer.from("00" + scenario.bufferHex, "hex"));
+                expect(Object.is(result, scenario.raw)).toBe(true);
+            });
+        });
+    });
+    describe("integer boundaries", () => {
+        var v1;
+
+        beforeEach(() => {
+            var BufferSerializer;
+
+            BufferSerializer = require("../");
+            v1 = new BufferSerializer({
+                version: 1
+            });
+        });
+
+        // Value, version 1 bytes and version 0 bytes when they differ
+        [
+            [ 0, "2B00" ],
+            [ 0xFF, "2BFF" ],
+            [ 0x100, "700100" ],
+            [ 0xFFFF, "70FFFF" ],
+            [ 0x10000, "5000010000" ],
+            [ 0xFFFFFFFF, "50FFFFFFFF" ],
+            [ 0x100000000, "71000100000000", "6441F0000000000000" ],
+            [ 1476921600000, "710157DF632800", "6442757DF632800000" ],
+            [ 0xFFFFFFFFFFFF, "71FFFFFFFFFFFF", "6442EFFFFFFFFFFFE0" ],
+            [ 0x1000000000000, "5101000000000000", "6442F0000000000000" ],
+            [ 844424930131973, "5103000000000005", "644308000000000028" ],
+            [ Number.MAX_SAFE_INTEGER, "511FFFFFFFFFFFFF", "64433FFFFFFFFFFFFF" ],
+            [ Number.MAX_SAFE_INTEGER + 1, "644340000000000000" ],
+            [ -1, "2D01" ],
+            [ -0xFF, "2DFF" ],
+            [ -0x100, "690100" ],
+            [ -0xFFFF, "69FFFF" ],
+            [ -0x10000, "4900010000" ],
+            [ -0xFFFFFFFF, "49FFFFFFFF" ],
+            [ -0x100000000, "6A000100000000", "64C1F0000000000000" ],
+            [ -1476921600000, "6A0157DF632800", "64C2757DF632800000" ],
+            [ -0xFFFFFFFFFFFF, "6AFFFFFFFFFFFF", "64C2EFFFFFFFFFFFE0" ],
+            [ -0x1000000000000, "4A01000000000000", "64C2F0000000000000" ],
+            [ -844424930131973, "4A03000000000005", "64C308000000000028" ],
+            [ Number.MIN_SAFE_INTEGER, "4A1FFFFFFFFFFFFF", "64C33FFFFFFFFFFFFF" ],
+            [ Number.MIN_SAFE_INTEGER - 1, "64C340000000000000" ]
+        ].forEach((scenario) => {
+            it("serializes " + scenario[0], () => {
+                expect(v1.toBuffer(scenario[0]).toString("hex").toUpperCase()).toBe("01" + scenario[1]);
+            });
+            it("serializes " + scenario[0] + " in version 0", () => {
+                expect(serializer.toBuffer(scenario[0]).toString("hex").toUpperCase()).toBe("00" + (scenario[2] || scenario[1]));
+            });
+            it("deserializes " + scenario[0], () => {
+                var result;
+
+                result = serializer.fromBuffer(Buffer.from("00" + scenario[1], "hex"));
+                expect(result).toBe(scenario[0]);
+            });
+        });
+    });
+    describe("maps and sets", () => {
+        it("restores a Map with object keys in insertion order", () => {
+            var key, map, result;
+
+            key = {
+                id: 1
+            };
+            map = new Map();
+            map.set("z", 1);
+            map.set(key, [ 2 ]);
+            map.set(3, new Set([ "a" ]));
+            result = serializer.fromBuffer(serializer.toBuffer(map));
+            expect(result).toEqual(jasmine.any(Map));
+            expect(Array.from(result.keys())).toEqual([
+                "z",
+                {
+                    id: 1
+                },
+                3
+            ]);
+            expect(result.get("z")).toBe(1);
+            expect(Array.from(result.values())[1]).toEqual([ 2 ]);
+            expect(result.get(3)).toEqual(jasmine.any(Set));
+            expect(Array.from(result.get(3))).toEqual([ "a" ]);
+        });
+        it("restores a Set in insertion order", () => {
+            var result;
+
+            result = serializer.fromBuffer(serializer.toBuffer(new Set([ 3, "b", null ])));
+            expect(result).toEqual(jasmine.any(Set));
+            expect(Array.from(result)).toEqual([
+                3,
+                "b",
+                null
+            ]);
+        });
+    });
+    describe("typed arrays", () => {
+        [
+            "Int8Array",
+            "Uint8Array",
+            "Uint8ClampedArray",
+            "Int16Array",
+            "Uint16Array",
+            "Int32Array",
+            "Uint32Array",
+            "Float32Array",
+            "Float64Array"
+        ].forEach((name) => {
+            it("restores a " + name, () => {
+                var result;
+
+                result = serializer.fromBuffer(serializer.toBuffer(new global[name]([ 1, 2, 100 ])));
+                expect(result.constructor).toBe(global[name]);
+                expect(Array.from(result)).toEqual([ 1, 2, 100 ]);
+            });
+        });
+        [
+            "BigInt64Array",
+            "BigUint64Array"
+        ].forEach((name) => {
+            it("restores a " + name, () => {
+                var result;
+
+                result = serializer.fromBuffer(serializer.toBuffer(new global[name]([ BigInt(1), BigInt(0x123456789) ])));
+                expect(result.constructor).toBe(global[name]);
+                expect(result[0]).toBe(BigInt(1));
+                expect(result[1]).toBe(BigInt(0x123456789));
+            });
+        });
+        it("writes elements little-endian", () => {
+            var buff;
+
+            buff = serializer.toBuffer(new Float64Array([ 1.25 ]));
+            expect(buff.toString("hex").toUpperCase()).toBe("00560A08000000000000F43F");
+        });
+        it("writes only the viewed part of a typed array", () => {
+            var result, source;
+
+            source = new Int32Array([ 1, 2, 3, 4 ]);
+            result = serializer.fromBuffer(serializer.toBuffer(source.subarray(1, 3)));
+            expect(result.length).toBe(2);
+            expect(Array.from(result)).toEqual([ 2, 3 ]);
+        });
+        it("restores an ArrayBuffer", () => {
+            var result;
+
+            result = serializer.fromBuffer(serializer.toBuffer(new Uint8Array([ 5, 6 ]).buffer));
+            expect(result).toEqual(jasmine.any(ArrayBuffer));
+            expect(Array.from(new Uint8Array(result))).toEqual([ 5, 6 ]);
+        });
+        it("restores a DataView", () => {
+            var result;
+
+            result = serializer.fromBuffer(serializer.toBuffer(new DataView(new Uint8Array([ 7, 8, 9 ]).buffer, 1)));
+            expect(result).toEqual(jasmine.any(DataView));
+            expect(result.byteLength).toBe(2);
+            expect(result.getUint8(0)).toBe(8);
+        });
+        it("decodes unaligned data", () => {
+            var result;
+
+            result = serializer.fromBuffer(Buffer.from("00560A0800000000000000C0", "hex"));
+            expect(result).toEqual(jasmine.any(Float64Array));
+            expect(result[0]).toBe(-2);
+        });
+        it("errors with an unknown kind", () => {
             expect(() => {
-                serializer.toBuffer(undefined);
+                serializer.fromBuffer(Buffer.from("0056FF00", "hex"));
             }).toThrow();
         });
     });
-    describe("custom objects", () => {
-        var Klass;
+    describe("references", () => {
+        var BufferSerializer;
 
         beforeEach(() => {
-            Klass = function testClass(val) {
-                this.val = val;
+            BufferSerializer = require("../");
+            serializer = new BufferSerializer({
+                references: true
+            });
+        });
+        it("writes repeated objects as references", () => {
+            var buff, obj;
+
+            obj = {};
+            buff = serializer.toBuffer([ obj, obj ]);
+
+            //                                               a O ! r 1 !
+            expect(buff.toString("hex").toUpperCase()).toBe("00614F21720121");
+        });
+        it("duplicates repeated objects without the option", () => {
+            var buff, obj;
+
+            obj = {};
+            buff = new BufferSerializer().toBuffer([ obj, obj ]);
+
+            //                                               a O ! O ! !
+            expect(buff.toString("hex").toUpperCase()).toBe("00614F214F2121");
+        });
+        it("restores shared objects", () => {
+            var obj, result;
+
+            obj = {
+                x: 1
             };
-            Klass.prototype.getVal = function () {
-                return this.val;
+            result = serializer.fromBuffer(serializer.toBuffer({
+                a: obj,
+                b: [ obj ],
+                c: new Map([ [ obj, obj ] ])
+            }));
+            expect(result.a).toEqual({
+                x: 1
+            });
+            expect(result.b[0]).toBe(result.a);
+            expect(result.c.get(result.a)).toBe(result.a);
+        });
+        it("restores circular objects and arrays", () => {
+            var arr, obj, result, set;
+
+            obj = {};
+            obj.self = obj;
+            arr = [ obj ];
+            arr.push(arr);
+            set = new Set();
+            set.add(set);
+            obj.set = set;
+            result = serializer.fromBuffer(serializer.toBuffer(arr));
+            expect(result[1]).toBe(result);
+            expect(result[0].self).toBe(result[0]);
+            expect(result[0].set.has(result[0].set)).toBe(true);
+        });
+        it("errors with a reference that was not decoded", () => {
+            expect(() => {
+                serializer.fromBuffer(Buffer.from("00617201", "hex"));
+            }).toThrow();
+        });
+    });
+    describe("interned property names", () => {
+        beforeEach(() => {
+            var BufferSerializer;
+
+            BufferSerializer = require("../");
+            serializer = new BufferSerializer({
+                intern: true
+            });
+        });
+        it("writes repeated property names once", () => {
+            var buff;
+
+            buff = serializer.toBuffer([
+                {
+                    name: 1
+                },
+                {
+                    name: 2
+                }
+            ]);
+
+            //                                               a O k 4 n a m e       + 1 ! O K 0 + 2 ! !
+            expect(buff.toString("hex").toUpperCase()).toBe("00614F6B046E616D652B01214F4B002B022121");
+        });
+        it("does not intern numeric keys", () => {
+            var buff;
+
+            buff = serializer.toBuffer({
+                1: true
+            });
+
+            //                                               O + 1 t !
+            expect(buff.toString("hex").toUpperCase()).toBe("004F2B017421");
+        });
+        it("restores interned property names", () => {
+            var data;
+
+            data = [
+                {
+                    "\u20AC": "a",
+                    b: {
+                        "\u20AC": "c"
+                    }
+                },
+                {
+                    b: null,
+                    "\u20AC": 1
+                }
+            ];
+            expect(serializer.fromBuffer(serializer.toBuffer(data))).toEqual(data);
+        });
+        it("errors with an interned string that was not decoded", () => {
+            expect(() => {
+                serializer.fromBuffer(Buffer.from("004F4B007421", "hex"));
+            }).toThrow();
+        });
+    });
+    describe("shaped arrays", () => {
+        var BufferSerializer;
+
+        beforeEach(() => {
+            BufferSerializer = require("../");
+            serializer = new BufferSerializer({
+                shapes: true
+            });
+        });
+        it("writes the property names once", () => {
+            var buff;
+
+            buff = serializer.toBuffer([
+                {
+                    a: 1,
+                    b: "x"
+                },
+                {
+                    a: 2,
+                    b: "y"
+                }
+            ]);
+
+            //                                               F 2 s 1 a s 1 b 2 + 1 s 1 x + 2 s 1 y
+            expect(buff.toString("hex").toUpperCase()).toBe("004602730161730162022B017301782B02730179");
+        });
+        [
+            {
+                name: "a single object",
+                raw: [
+                    {
+                        a: 1
+                    }
+                ]
+            },
+            {
+                name: "different property names",
+                raw: [
+                    {
+                        a: 1
+                    },
+                    {
+                        b: 1
+                    }
+                ]
+            },
+            {
+                name: "different property order",
+                raw: [
+                    {
+                        a: 1,
+                        b: 2
+                    },
+                    {
+                        b: 2,
+                        a: 1
+                    }
+                ]
+            },
+            {
+                name: "objects without properties",
+                raw: [
+                    {},
+                    {}
+                ]
+            },
+            {
+                name: "values that are not plain objects",
+                raw: [
+                    {
+                        a: 1
+                    },
+                    new Map()
+                ]
+            }
+        ].forEach((scenario) => {
+            it("uses a normal array with " + scenario.name, () => {
+                var buff;
+
+                buff = serializer.toBuffer(scenario.raw);
+                expect(buff[1]).toBe(0x61);
+            });
+        });
+        it("restores the objects", () => {
+            var data;
+
+            data = [
+                {
+                    id: 1,
+                    tags: [
+                        {
+                            t: "a"
+                        },
+                        {
+                            t: "b"
+                        }
+                    ]
+                },
+                {
+                    id: 2,
+                    tags: []
+                }
+            ];
+            expect(serializer.fromBuffer(serializer.toBuffer(data))).toEqual(data);
+        });
+        it("works with interning and references", () => {
+            var data, result, row;
+
+            serializer = new BufferSerializer({
+                intern: true,
+                references: true,
+                shapes: true
+            });
+            row = {
+                name: "a"
             };
-            serializer.register("Klass", (thing) => {
-                return thing instanceof Klass;
+            row.self = row;
+            data = [
+                row,
+                {
+                    name: "b",
+                    self: row
+                },
+                row
+            ];
+            result = serializer.fromBuffer(serializer.toBuffer(data));
+            expect(result.length).toBe(3);
+            expect(result[0].name).toBe("a");
+            expect(result[0].self).toBe(result[0]);
+            expect(result[1].self).toBe(result[0]);
+            expect(result[2]).toBe(result[0]);
+
+            // The first row refers to the second, which is written there
+            data = [
+                {
+                    name: "a"
+                },
+                {
+                    name: "b"
+                }
+            ];
+            data[0].self = data[1];
+            data[1].self = null;
+            row = {
+                name: "c"
+            };
+            result = serializer.fromBuffer(serializer.toBuffer([
+                data,
+                row,
+                row
+            ]));
+            expect(result[0][0].self).toBe(result[0][1]);
+            expect(result[0][1].name).toBe("b");
+            expect(result[1].name).toBe("c");
+            expect(result[2]).toBe(result[1]);
+        });
+        it("errors without property names", () => {
+            expect(() => {
+                serializer.fromBuffer(Buffer.from("00460002", "hex"));
+            }).toThrow();
+        });
+    });
+    describe("writer pool", () => {
+        it("returns separate buffers", () => {
+            var BufferSerializer, first, second;
+
+            BufferSerializer = require("../");
+            serializer = new BufferSerializer({
+                pool: true
+            });
+            first = serializer.toBuffer("first");
+            second = serializer.toBuffer([ 2 ]);
+            expect(first.toString("hex").toUpperCase()).toBe("0073056669727374");
+            expect(second.toString("hex").toUpperCase()).toBe("00612B0221");
+            expect(serializer.writerPool.length).toBe(1);
+        });
+        it("works when a helper serializes while writing", () => {
+            var BufferSerializer;
+
+            BufferSerializer = require("../");
+            serializer = new BufferSerializer({
+                pool: true
+            });
+            serializer.register("Inner", (thing) => {
+                return thing instanceof Error;
             }, (thing, bufferWriter) => {
-                bufferWriter.size(thing.getVal());
+                var inner;
+
+                inner = serializer.toBuffer(thing.message);
+                bufferWriter.size(inner.length);
+                bufferWriter.buffer(inner);
             }, (bufferReader) => {
-                return new Klass(bufferReader.size());
+                return new Error(serializer.fromBuffer(bufferReader.buffer(bufferReader.size())));
             });
+            expect(serializer.fromBuffer(serializer.toBuffer([ new Error("oops") ]))[0].message).toBe("oops");
+            expect(serializer.writerPool.length).toBe(2);
         });
-        it("serializes a custom class", () => {
-            var buff, k;
+    });
+    describe("copy option", () => {
+        var source;
 
-            k = new Klass(2);
-            buff = serializer.toBuffer(k);
-            expect(buff).toEqual(jasmine.any(Buffer));
-            expect(buff.toString("hex").toUpperCase()).toEqual("005A054B6C61737302");
+        beforeEach(() => {
+            // Padding lets the Float64Array data start on an 8 byte boundary
+            source = Buffer.alloc(64);
+            serializer.toBuffer([
+                Buffer.from("abc"),
+                new Float64Array([ 1.5 ]),
+                new DataView(new Uint8Array([ 1, 2 ]).buffer),
+                new Uint8Array([ 3, 4 ]).buffer
+            ]).copy(source, 6);
         });
-        it("deserializes a custom class", () => {
-            var k;
+        it("shares memory by default", () => {
+            var result;
 
-            k = serializer.fromBuffer(Buffer.from("005A054B6C61737302", "hex"));
-            expect(k).toEqual(jasmine.any(Klass));
-            expect(k.getVal()).toEqual(2);
+            result = serializer.fromBuffer(source, 6);
+            source.fill(0);
+            expect(result[0].toString("hex")).toBe("000000");
+            expect(result[1][0]).toBe(0);
+            expect(result[2].getUint8(1)).toBe(0);
+            expect(Array.from(new Uint8Array(result[3]))).toEqual([ 3, 4 ]);
+        });
+        it("copies when requested", () => {
+            var result;
+
+            result = serializer.fromBuffer(source, 6, {
+                copy: true
+            });
+            source.fill(0);
+            expect(result[0].toString()).toBe("abc");
+            expect(result[1][0]).toBe(1.5);
+            expect(result[2].getUint8(1)).toBe(2);
+            expect(Array.from(new Uint8Array(result[3]))).toEqual([ 3, 4 ]);
+        });
+        it("copies typed arrays that would not be aligned", () => {
+            var result, unaligned;
+
+            unaligned = Buffer.alloc(65);
+            source.copy(unaligned, 1);
+            result = serializer.fromBuffer(unaligned, 7);
+            unaligned.fill(0);
+            expect(result[0].toString("hex")).toBe("000000");
+            expect(result[1][0]).toBe(1.5);
+        });
+        it("copies from frames", () => {
+            var frame, result;
+
+            frame = serializer.toFrame(Buffer.from("abc"));
+            result = serializer.fromFrame(frame, 0, {
+                copy: true
+            });
+            frame.fill(0);
+            expect(result.data.toString()).toBe("abc");
+        });
+        it("errors when the length does not fit the elements", () => {
+            expect(() => {
+                serializer.fromBuffer(Buffer.from("00560A03000000", "hex"));
+            }).toThrow();
+        });
+    });
+    describe("format versions", () => {
+        var BufferSerializer, v1;
+
+        beforeEach(() => {
+            BufferSerializer = require("../");
+            v1 = new BufferSerializer({
+                version: 1
+            });
+        });
+        it("lists the versions", () => {
+            expect(BufferSerializer.versions).toEqual([
+                0,
+                1
+            ]);
+        });
+        it("writes version 0 by default", () => {
+            expect(serializer.toBuffer(true)[0]).toBe(0);
+        });
+        it("errors when asked to write an unknown version", () => {
+            expect(() => new BufferSerializer({
+                version: 2
+            })).toThrow(new Error("Invalid version identifier"));
+        });
+        it("writes strings as UTF-8 in version 1", () => {
+            //                                                   1 s 5 c a f =é=
+            expect(v1.toBuffer("café").toString("hex").toUpperCase()).toBe("017305636166C3A9");
+            expect(v1.fromBuffer(v1.toBuffer("snow ☃"))).toBe("snow ☃");
+        });
+        it("reads every version", () => {
+            expect(v1.fromBuffer(serializer.toBuffer("snow ☃"))).toBe("snow ☃");
+            expect(serializer.fromBuffer(v1.toBuffer("café"))).toBe("café");
+            expect(serializer.fromBuffer(Buffer.from("0155026162", "hex"))).toBe("ab");
+        });
+        it("keeps more of a RegExp in version 1", () => {
+            var result;
+
+            //                                                  1 R 4 ==☃=== + flags
+            expect(v1.toBuffer(new RegExp("☃+", "suy")).toString("hex").toUpperCase()).toBe("015204E298832B38");
+            result = serializer.fromBuffer(v1.toBuffer(new RegExp("☃+", "gimsuy")));
+            expect(result.source).toBe("☃+");
+            expect(result.flags).toBe("gimsuy");
+            expect(serializer.fromBuffer(serializer.toBuffer(new RegExp("a", "gsy"))).flags).toBe("g");
+        });
+        it("keeps the v flag in version 1", () => {
+            var buff, flag, result;
+
+            //                   1 R 1 a flags
+            buff = Buffer.from("0152016180", "hex");
+            flag = "v";
+
+            // Node before 20 does not have the flag
+            if (!errorOf(() => new RegExp("a", flag))) {
+                result = serializer.fromBuffer(buff);
+                expect(result.flags).toBe("v");
+                expect(v1.toBuffer(result).toString("hex").toUpperCase()).toBe("0152016180");
+            } else {
+                expect(errorOf(() => serializer.fromBuffer(buff)) instanceof BufferSerializer.InvalidDataError).toBe(true);
+            }
+        });
+        it("errors when the RegExp is not valid", () => {
+            var err;
+
+            //                                         1 R 1 ( flags
+            err = errorOf(() => serializer.fromBuffer(Buffer.from("0152012800", "hex")));
+            expect(err instanceof BufferSerializer.InvalidDataError).toBe(true);
+            expect(err.offset).toBe(2);
+            //                                         1 R 1 a flags=uv
+            err = errorOf(() => serializer.fromBuffer(Buffer.from("0152016190", "hex")));
+            expect(err instanceof BufferSerializer.InvalidDataError).toBe(true);
+        });
+        it("writes custom object names as UTF-8 in version 1", () => {
+            class Thing {}
+
+            v1.register("Thing☃", (thing) => thing instanceof Thing, () => {}, () => new Thing());
+            expect(v1.fromBuffer(v1.toBuffer(new Thing())) instanceof Thing).toBe(true);
+        });
+        it("combines the version with the checksum flag", () => {
+            var buff;
+
+            buff = new BufferSerializer({
+                checksum: true,
+                version: 1
+            }).toBuffer(true);
+            expect(buff.toString("hex").toUpperCase()).toBe("81017451C52CC1");
+            expect(serializer.fromBuffer(buff)).toBe(true);
+        });
+    });
+    describe("compression", () => {
+        var BufferSerializer, records;
+
+        beforeEach(() => {
+            var i;
+
+            BufferSerializer = require("../");
+            serializer = new BufferSerializer({
+                compression: "deflate"
+            });
+            records = [];
+
+            for (i = 0; i < 100; i += 1) {
+                records.push({
+                    id: i,
+                    name: "record",
+                    tags: [
+                        "repetitive",
+                        "data"
+                    ]
+                });
+            }
+        });
+        it("does not compress small values", () => {
+            expect(serializer.toBuffer("small").toString("hex").toUpperCase()).toBe("007305736D616C6C");
+        });
+        itDecompresses("compresses large values", () => {
+            var buff;
+
+            buff = serializer.toBuffer(records);
+            expect(buff[0]).toBe(0x40);
+            expect(buff[1]).toBe(1);
+            expect(buff.length).toBeLessThan(new BufferSerializer().toBuffer(records).length / 4);
+            expect(serializer.fromBuffer(buff)).toEqual(records);
+        });
+        itDecompresses("compresses with brotli", () => {
+            var brotli, buff;
+
+            brotli = new BufferSerializer({
+                compression: "brotli",
+                version: 1
+            });
+            buff = brotli.toBuffer(records);
+            expect(buff[0]).toBe(0x41);
+            expect(buff[1]).toBe(2);
+            expect(brotli.fromBuffer(buff)).toEqual(records);
+        });
+        itDecompresses("detects compression when decoding", () => {
+            expect(new BufferSerializer().fromBuffer(serializer.toBuffer(records))).toEqual(records);
+        });
+        itDecompresses("uses the threshold", () => {
+            serializer = new BufferSerializer({
+                compression: "deflate",
+                compressionThreshold: 10
+            });
+            expect(serializer.toBuffer("aaaaaaaaaaaaaaaaaaaa")[0]).toBe(0x40);
+            expect(serializer.fromBuffer(serializer.toBuffer("aaaaaaaaaaaaaaaaaaaa"))).toBe("aaaaaaaaaaaaaaaaaaaa");
+        });
+        it("does not compress when it would not be smaller", () => {
+            var buff, random;
+
+            random = require("crypto").randomBytes(2000);
+            buff = serializer.toBuffer(random);
+            expect(buff[0]).toBe(0);
+            expect(serializer.fromBuffer(buff).equals(random)).toBe(true);
+        });
+        itDecompresses("works with checksums", () => {
+            var buff, err;
+
+            serializer = new BufferSerializer({
+                checksum: true,
+                compression: "deflate"
+            });
+            buff = serializer.toBuffer(records);
+            expect(buff[0]).toBe(0xC0);
+            expect(serializer.fromBuffer(buff)).toEqual(records);
+            buff[10] ^= 0xFF;
+
+            err = errorOf(() => {
+                serializer.fromBuffer(buff);
+            });
+
+            expect(err instanceof BufferSerializer.ChecksumError).toBe(true);
+        });
+        itDecompresses("works with frames and streams", () => {
+            var decoder, frame;
+
+            frame = serializer.toFrame(records);
+            expect(serializer.fromFrame(frame).data).toEqual(records);
+            decoder = serializer.createDecoder();
+            expect(decoder.feed(serializer.toBuffer(records).slice(0, 20))).toEqual([]);
+            expect(decoder.feed(serializer.toBuffer(records).slice(20))).toEqual([
+                records
+            ]);
+        });
+        itDecompresses("limits the decompressed size with maxBytes", () => {
+            var buff;
+
+            buff = serializer.toBuffer(records);
+            expect(() => {
+                serializer.fromBuffer(buff, 0, {
+                    maxBytes: 500
+                });
+            }).toThrow(new Error("Limit exceeded: maxBytes"));
+        });
+        itDecompresses("limits the decompressed size by default", () => {
+            var buff, compressed, head;
+
+            compressed = require("zlib").deflateRawSync(Buffer.alloc(16777217));
+            head = new BufferWriter();
+            head.uint8(0x40);
+            head.uint8(0x01);
+            head.size(compressed.length);
+            buff = Buffer.concat([
+                head.toBuffer(),
+                compressed
+            ]);
+
+            // Even when the serializer does not compress
+            expect(errorOf(() => {
+                new BufferSerializer().fromBuffer(buff);
+            }).limit).toBe("maxDecompressedBytes");
+            expect(errorOf(() => {
+                new BufferSerializer().fromBuffer(buff, 0, {
+                    maxDecompressedBytes: Infinity
+                });
+            }) instanceof BufferSerializer.LimitExceededError).toBe(false);
+        });
+        it("errors with data that can not be decompressed", () => {
+            expect(() => {
+                //                                 h a s =data=
+                serializer.fromBuffer(Buffer.from("400104FFFFFFFF", "hex"));
+            }).toThrow();
+            expect(() => {
+                serializer.fromBuffer(Buffer.from("400901FF", "hex"));
+            }).toThrow(new Error("Unknown compression algorithm: 9"));
+        });
+        itDecompresses("errors when the decompressed value is cut short", () => {
+            var buff, compressed, decoder, err;
+
+            //                                            s 5 A
+            compressed = require("zlib").deflateRawSync(Buffer.from("730541", "hex"));
+            buff = Buffer.concat([
+                Buffer.from([
+                    0x40,
+                    0x01,
+                    compressed.length
+                ]),
+                compressed
+            ]);
+            err = errorOf(() => serializer.fromBuffer(buff));
+            expect(err instanceof BufferSerializer.InvalidDataError).toBe(true);
+
+            // A stream must not wait for more data
+            decoder = serializer.createDecoder();
+            expect(() => {
+                decoder.feed(buff);
+            }).toThrow(new Error("Compressed or sealed size does not match its value"));
+        });
+        it("errors with an unknown algorithm", () => {
+            expect(() => new BufferSerializer({
+                compression: "lzma"
+            })).toThrow(new Error("Unknown compression algorithm: lzma"));
+        });
+        itDecompresses("compresses and decompresses asynchronously", () => {
+            var result;
+
+            serializer.toBufferAsync(records, (err, buff) => {
+                expect(err).toBe(null);
+                expect(buff[0]).toBe(0x40);
+                serializer.fromBufferAsync(buff, (err2, data) => {
+                    expect(err2).toBe(null);
+                    result = data;
+                });
+            });
+            waitsFor(() => {
+                return result;
+            });
+            runs(() => {
+                expect(result).toEqual(records);
+            });
+        });
+        it("handles values that are not compressed asynchronously", () => {
+            var result, sync;
+
+            sync = true;
+            serializer.toBufferAsync("small", (err, buff) => {
+                expect(sync).toBe(false);
+                expect(buff.toString("hex").toUpperCase()).toBe("007305736D616C6C");
+                serializer.fromBufferAsync(Buffer.concat([
+                    Buffer.from("FF", "hex"),
+                    buff
+                ]), 1, {
+                    strict: true
+                }, (err2, data) => {
+                    result = data;
+                });
+            });
+            sync = false;
+            waitsFor(() => {
+                return result;
+            });
+            runs(() => {
+                expect(result).toBe("small");
+            });
+        });
+        itDecompresses("passes errors to the callback", () => {
+            var errs;
+
+            errs = [];
+            serializer.toBufferAsync(() => {}, (err) => {
+                errs.push(err);
+            });
+            serializer.fromBufferAsync(Buffer.from("0F", "hex"), (err) => {
+                errs.push(err);
+            });
+            serializer.fromBufferAsync(Buffer.from("400105FFFFFFFFFF", "hex"), (err) => {
+                errs.push(err);
+            });
+            serializer.fromBufferAsync(Buffer.from("007400", "hex"), 0, {
+                strict: true
+            }, (err) => {
+                errs.push(err);
+            });
+            waitsFor(() => {
+                return errs.length === 4;
+            });
+            runs(() => {
+                errs.forEach((err) => {
+                    expect(err instanceof BufferSerializer.BufferSerializerError).toBe(true);
+                });
+            });
+        });
+    });
+    describe("checksum", () => {
+        var BufferSerializer;
+
+        beforeEach(() => {
+            BufferSerializer = require("../");
+            serializer = new BufferSerializer({
+                checksum: true
+            });
+        });
+        it("writes the size, the value and the checksum", () => {
+            //                                                                    h s t =crc32=
+            expect(serializer.toBuffer(true).toString("hex").toUpperCase()).toBe("800174500746F6");
+        });
+        it("reads values with a checksum", () => {
+            var thing;
+
+            thing = {
+                a: [
+                    1,
+                    "two",
+                    new Date(3000)
+                ]
+            };
+            expect(serializer.fromBuffer(serializer.toBuffer(thing))).toEqual(thing);
+        });
+        it("reads values without a checksum", () => {
+            expect(serializer.fromBuffer(Buffer.from("0074", "hex"))).toBe(true);
+            expect(new BufferSerializer().fromBuffer(serializer.toBuffer(true))).toBe(true);
+        });
+        it("errors when the data was changed", () => {
+            var buff, err;
+
+            buff = serializer.toBuffer("abc");
+            buff[4] = 0x78;
+
+            err = errorOf(() => {
+                serializer.fromBuffer(buff);
+            });
+
+            expect(err instanceof BufferSerializer.ChecksumError).toBe(true);
+            expect(err.code).toBe("ECHECKSUM");
+            expect(err.offset).toBe(0);
+        });
+        it("errors when the size does not match the value", () => {
+            expect(() => {
+                //                                 h s t ? =crc32=
+                serializer.fromBuffer(Buffer.from("80027401F3CD312D", "hex"));
+            }).toThrow(new Error("Checksummed size does not match its value"));
+        });
+        it("errors when the checksum is missing", () => {
+            expect(() => {
+                serializer.fromBuffer(Buffer.from("80017450", "hex"));
+            }).toThrow(new Error("Unexpected end of stream"));
+        });
+        it("errors with unknown flags", () => {
+            expect(() => {
+                serializer.fromBuffer(Buffer.from("1074", "hex"));
+            }).toThrow(new Error("Invalid version identifier"));
+        });
+        it("works with frames and the pool", () => {
+            var pooled;
+
+            pooled = new BufferSerializer({
+                checksum: true,
+                pool: true
+            });
+            expect(pooled.fromFrame(pooled.toFrame([
+                1
+            ])).data).toEqual([
+                1
+            ]);
+        });
+        it("works with streams", () => {
+            var decoder;
+
+            decoder = serializer.createDecoder();
+            expect(decoder.feed(Buffer.concat([
+                serializer.toBuffer("a"),
+                serializer.toBuffer("b")
+            ]))).toEqual([
+                "a",
+                "b"
+            ]);
+        });
+    });
+    describe("sealing", () => {
+        var BufferSerializer, keys, session;
+
+        beforeEach(() => {
+            BufferSerializer = require("../");
+            keys = {
+                old: Buffer.alloc(32, 1),
+                "2024": Buffer.alloc(16, 2)
+            };
+            serializer = new BufferSerializer({
+                keyId: "2024",
+                keys: keys
+            });
+            session = {
+                user: "test",
+                roles: [
+                    "admin"
+                ]
+            };
+        });
+        it("writes the key id and hides the value", () => {
+            var buff;
+
+            buff = serializer.toBuffer("visible");
+            expect(buff[0]).toBe(0x20);
+            expect(buff.slice(1, 6).toString("hex").toUpperCase()).toBe("0432303234");
+            expect(buff.indexOf("visible")).toBe(-1);
+            expect(buff.length).toBe(6 + 12 + 1 + 9 + 16);
+        });
+        it("opens sealed values", () => {
+            expect(serializer.fromBuffer(serializer.toBuffer(session))).toEqual(session);
+        });
+        it("opens values sealed with an older key", () => {
+            var old;
+
+            old = new BufferSerializer({
+                keyId: "old",
+                keys: keys
+            });
+            expect(serializer.fromBuffer(old.toBuffer(session))).toEqual(session);
+        });
+        it("reads values that are not sealed", () => {
+            expect(serializer.fromBuffer(new BufferSerializer().toBuffer(session))).toEqual(session);
+        });
+        it("detects changes", () => {
+            var buff, err, i;
+
+            buff = serializer.toBuffer(session);
+
+            for (i = 6; i < buff.length; i += 7) {
+                buff[i] ^= 0x10;
+                err = errorOf(() => serializer.fromBuffer(buff));
+                expect(err instanceof BufferSerializer.BufferSerializerError).toBe(true);
+                buff[i] ^= 0x10;
+            }
+
+            buff[buff.length - 1] ^= 1;
+            err = errorOf(() => serializer.fromBuffer(buff));
+            expect(err instanceof BufferSerializer.TamperedError).toBe(true);
+            expect(err.code).toBe("ETAMPERED");
+            expect(err.offset).toBe(0);
+        });
+        it("authenticates the header and the key id", () => {
+            var buff, swapped;
+
+            buff = serializer.toBuffer(session);
+            buff[0] = 0x21;
+            expect(errorOf(() => serializer.fromBuffer(buff)) instanceof BufferSerializer.TamperedError).toBe(true);
+            buff = serializer.toBuffer(session);
+            swapped = new BufferSerializer({
+                keys: {
+                    "2024": keys.old.slice(0, 16),
+                    "2025": keys["2024"]
+                }
+            });
+            buff[5] = 0x35;
+            expect(errorOf(() => swapped.fromBuffer(buff)) instanceof BufferSerializer.TamperedError).toBe(true);
+        });
+        it("errors with a wrong or unknown key", () => {
+            var err, other;
+
+            other = new BufferSerializer({
+                keys: {
+                    "2024": Buffer.alloc(16, 3)
+                }
+            });
+            expect(errorOf(() => other.fromBuffer(serializer.toBuffer(session))) instanceof BufferSerializer.TamperedError).toBe(true);
+            err = errorOf(() => new BufferSerializer().fromBuffer(serializer.toBuffer(session)));
+            expect(err instanceof BufferSerializer.UnknownKeyError).toBe(true);
+            expect(err.keyId).toBe("2024");
+            expect(err.offset).toBe(1);
+        });
+        itDecompresses("works with checksums and compression", () => {
+            var big, buff;
+
+            serializer = new BufferSerializer({
+                checksum: true,
+                compression: "deflate",
+                keyId: "old",
+                keys: keys,
+                version: 1
+            });
+            big = [];
+
+            while (big.length < 200) {
+                big.push(session);
+            }
+
+            buff = serializer.toBuffer(big);
+            expect(buff[0]).toBe(0xE1);
+            expect(buff.length).toBeLessThan(200);
+            expect(serializer.fromBuffer(buff)).toEqual(big);
+            expect(serializer.toBuffer(session)[0]).toBe(0xA1);
+            expect(serializer.fromFrame(serializer.toFrame(big)).data).toEqual(big);
+        });
+        it("seals and opens asynchronously", () => {
+            var result;
+
+            serializer.toBufferAsync(session, (err, buff) => {
+                expect(err).toBe(null);
+                expect(buff[0]).toBe(0x20);
+                serializer.fromBufferAsync(buff, (err2, data) => {
+                    expect(err2).toBe(null);
+                    result = data;
+                });
+            });
+            waitsFor(() => {
+                return result;
+            });
+            runs(() => {
+                expect(result).toEqual(session);
+            });
+        });
+        it("checks the keys", () => {
+            expect(() => new BufferSerializer({
+                keyId: "missing",
+                keys: keys
+            })).toThrow(new Error("Key id is not one of the keys: missing"));
+            expect(() => new BufferSerializer({
+                keys: {
+                    short: Buffer.alloc(8)
+                }
+            })).toThrow(new Error("Key must be a Buffer of 16, 24 or 32 bytes"));
+            expect(() => new BufferSerializer({
+                keyId: "toString"
+            })).toThrow(new Error("Key id is not one of the keys: toString"));
+        });
+    });
+    describe("strict mode", () => {
+        var BufferSerializer;
+
+        beforeEach(() => {
+            BufferSerializer = require("../");
+        });
+        it("ignores trailing bytes by default", () => {
+            expect(serializer.fromBuffer(Buffer.from("00740000", "hex"))).toBe(true);
+        });
+        it("errors on trailing bytes", () => {
+            var err;
+
+            err = errorOf(() => {
+                serializer.fromBuffer(Buffer.from("00740000", "hex"), 0, {
+                    strict: true
+                });
+            });
+
+            expect(err instanceof BufferSerializer.TrailingDataError).toBe(true);
+            expect(err.code).toBe("ETRAILING");
+            expect(err.offset).toBe(2);
+        });
+        it("decodes a value that uses the rest of the buffer", () => {
+            expect(serializer.fromBuffer(Buffer.from("FF0074", "hex"), 1, {
+                strict: true
+            })).toBe(true);
+        });
+        it("errors when a length runs past the end", () => {
+            [
+                "00730561626364", // s 5 abcd
+                "0042050102", // B 5 0102
+                "0055036162", // U 3 ab
+                "0064000000" // d with 3 bytes
+            ].forEach((hex) => {
+                expect(() => {
+                    serializer.fromBuffer(Buffer.from(hex, "hex"), 0, {
+                        strict: true
+                    });
+                }).toThrow(new Error("Unexpected end of stream"));
+            });
+        });
+    });
+    describe("limits", () => {
+        var BufferSerializer;
+
+        beforeEach(() => {
+            BufferSerializer = require("../");
+        });
+
+        it("decodes normally without limits", () => {
+            var nested;
+
+            nested = [ [ [ [ "deep" ] ] ] ];
+            expect(serializer.fromBuffer(serializer.toBuffer(nested))).toEqual(nested);
+        });
+        it("limits the depth", () => {
+            var buff;
+
+            buff = serializer.toBuffer([ [ [ 1 ] ] ]);
+            expect(serializer.fromBuffer(buff, 0, {
+                maxDepth: 3
+            })).toEqual([ [ [ 1 ] ] ]);
+            expect(errorOf(() => {
+                serializer.fromBuffer(buff, 0, {
+                    maxDepth: 2
+                });
+            }).limit).toBe("maxDepth");
+        });
+        it("limits the depth before the stack overflows", () => {
+            var buff;
+
+            // 00 followed by 100,000 "a" dense array markers
+            buff = Buffer.alloc(100001, 0x61);
+            buff[0] = 0;
+            expect(errorOf(() => {
+                serializer.fromBuffer(buff, 0, {
+                    maxDepth: 100
+                });
+            }).limit).toBe("maxDepth");
+        });
+        it("counts Maps, Sets and shaped array rows as depth", () => {
+            var shaping;
+
+            shaping = new BufferSerializer({
+                shapes: true
+            });
+            [
+                new Map([ [ 1, {} ] ]),
+                new Set([ [] ]),
+                [ { a: 1 }, { a: 2 } ]
+            ].forEach((thing) => {
+                expect(errorOf(() => {
+                    shaping.fromBuffer(shaping.toBuffer(thing), 0, {
+                        maxDepth: 1
+                    });
+                }).limit).toBe("maxDepth");
+            });
+        });
+        it("limits the total bytes", () => {
+            var buff;
+
+            buff = serializer.toBuffer("abcdef");
+            expect(serializer.fromBuffer(buff, 0, {
+                maxBytes: buff.length
+            })).toBe("abcdef");
+            expect(errorOf(() => {
+                serializer.fromBuffer(buff, 0, {
+                    maxBytes: buff.length - 1
+                });
+            }).limit).toBe("maxBytes");
+        });
+        it("limits the length of strings", () => {
+            [
+                "abcd",
+                "abc\u1234",
+                new Map([ [ "abcd", 1 ] ])
+            ].forEach((thing) => {
+                expect(errorOf(() => {
+                    serializer.fromBuffer(serializer.toBuffer(thing), 0, {
+                        maxStringLength: 3
+                    });
+                }).limit).toBe("maxStringLength");
+            });
+        });
+        it("limits a forged string length without waiting for the data", () => {
+            var buff;
+
+            //                     0 s =size 0x1FFFFFFF
+            buff = Buffer.from("0073DFFFFFFF", "hex");
+            expect(errorOf(() => {
+                serializer.fromBuffer(buff, 0, {
+                    maxStringLength: 1000
+                });
+            }).limit).toBe("maxStringLength");
+        });
+        it("limits the length of buffers and typed arrays", () => {
+            [
+                Buffer.from("abcd"),
+                new Uint16Array(2),
+                BigInt("0x1234567890")
+            ].forEach((thing) => {
+                expect(errorOf(() => {
+                    serializer.fromBuffer(serializer.toBuffer(thing), 0, {
+                        maxBufferLength: 3
+                    });
+                }).limit).toBe("maxBufferLength");
+            });
+        });
+        it("limits the number of elements", () => {
+            var shaping;
+
+            shaping = new BufferSerializer({
+                shapes: true
+            });
+            [
+                [ 1, 2, 3 ],
+                [ 1, , 3 ], // eslint-disable-line no-sparse-arrays
+                {
+                    a: 1,
+                    b: 2,
+                    c: 3
+                },
+                new Map([ [ 1, 1 ], [ 2, 2 ], [ 3, 3 ] ]),
+                new Set([ 1, 2, 3 ]),
+                [ { a: 1 }, { a: 2 }, { a: 3 } ],
+                [
+                    {
+                        a: 1,
+                        b: 2,
+                        c: 3
+                    },
+                    {
+                        a: 1,
+                        b: 2,
+                        c: 3
+                    }
+                ]
+            ].forEach((thing) => {
+                var buff;
+
+                buff = shaping.toBuffer(thing);
+                expect(errorOf(() => {
+                    shaping.fromBuffer(buff, 0, {
+                        maxElements: 2
+                    });
+                }).limit).toBe("maxElements");
+                expect(errorOf(() => {
+                    shaping.fromBuffer(buff, 0, {
+                        maxElements: 3
+                    });
+                })).toBe(null);
+            });
+        });
+        it("limits the indices and length of sparse arrays", () => {
+            var sparse;
+
+            sparse = [];
+            sparse[5] = 1;
+            expect(errorOf(() => {
+                serializer.fromBuffer(serializer.toBuffer(sparse), 0, {
+                    maxElements: 5
+                });
+            }).limit).toBe("maxElements");
+            expect(serializer.fromBuffer(serializer.toBuffer(sparse), 0, {
+                maxElements: 6
+            })).toEqual(sparse);
+
+            // A "length" of 4294967295 and no elements
+            expect(errorOf(() => {
+                serializer.fromBuffer(Buffer.from("004150FFFFFFFE2B0121", "hex"), 0, {
+                    maxElements: 10
+                });
+            }).limit).toBe("maxElements");
+        });
+        it("errors when a sparse array length is not valid", () => {
+            // A "length" of 4294967296
+            expect(errorOf(() => {
+                serializer.fromBuffer(Buffer.from("004173066C656E6774687100010000000021", "hex"));
+            }) instanceof BufferSerializer.InvalidDataError).toBe(true);
+        });
+        it("applies limits to frames", () => {
+            var frame;
+
+            frame = serializer.toFrame("abcdef");
+            expect(errorOf(() => {
+                serializer.fromFrame(frame, 0, {
+                    maxStringLength: 5
+                });
+            }).limit).toBe("maxStringLength");
+
+            // Only the size is available, the rest would arrive later
+            expect(errorOf(() => {
+                serializer.fromFrame(Buffer.from("DFFFFFFF", "hex"), 0, {
+                    maxBytes: 1000
+                });
+            }).limit).toBe("maxBytes");
+        });
+        it("does not let __proto__ change the prototype", () => {
+            var buff, result;
+
+            //                     0 O s 9 _ _ p r o t o _ _ O s 1 x t ! !
+            buff = Buffer.from("004F73095F5F70726F746F5F5F4F730178742121", "hex");
+            result = serializer.fromBuffer(buff);
+            expect(Object.getPrototypeOf(result)).toBe(Object.prototype);
+            expect(result.x).toBe(undefined);
+            expect(Object.keys(result)).toEqual([
+                "__proto__"
+            ]);
+            expect(result.__proto__).toEqual({
+                x: true
+            });
+            expect({}.x).toBe(undefined);
+        });
+        it("does not let __proto__ change shaped rows or sparse arrays", () => {
+            var result;
+
+            //                                          0 F 1 s 9 _ _ p r o t o _ _ 2 O s 1 x t ! n
+            result = serializer.fromBuffer(Buffer.from("00460173095F5F70726F746F5F5F024F73017874216E", "hex"));
+            expect(Object.getPrototypeOf(result[0])).toBe(Object.prototype);
+            expect(result[0].x).toBe(undefined);
+            expect(result[1].__proto__).toBe(null);
+
+            //                                          0 A s 9 _ _ p r o t o _ _ O s 1 x t ! !
+            result = serializer.fromBuffer(Buffer.from("004173095F5F70726F746F5F5F4F730178742121", "hex"));
+            expect(Array.isArray(result)).toBe(true);
+            expect(result.x).toBe(undefined);
+            expect(result.__proto__).toEqual({
+                x: true
+            });
+        });
+    });
+    describe("frames", () => {
+        var BufferSerializer;
+
+        beforeEach(() => {
+            BufferSerializer = require("../");
+        });
+        it("writes a frame", () => {
+            //                                                                  4 0 s 1 a
+            expect(serializer.toFrame("a").toString("hex").toUpperCase()).toBe("0400730161");
+        });
+        it("writes and reads several frames", () => {
+            var buff, frame, offset, result;
+
+            buff = serializer.toFrames([
+                "a",
+                {
+                    b: [ 1 ]
+                },
+                null
+            ]);
+            offset = 0;
+            result = [];
+
+            while (offset < buff.length) {
+                frame = serializer.fromFrame(buff, offset);
+                result.push(frame.data);
+                offset = frame.offset;
+            }
+
+            expect(result).toEqual([
+                "a",
+                {
+                    b: [ 1 ]
+                },
+                null
+            ]);
+            expect(offset).toBe(buff.length);
+        });
+        it("reports where the next frame starts", () => {
+            var buff;
+
+            buff = Buffer.concat([
+                Buffer.from("FF", "hex"),
+                serializer.toFrame(true),
+                serializer.toFrame(false)
+            ]);
+            expect(serializer.fromFrame(buff, 1)).toEqual({
+                data: true,
+                offset: 4
+            });
+        });
+        it("errors when the frame is incomplete", () => {
+            expect(() => {
+                serializer.fromFrame(Buffer.from("0400730161", "hex").slice(0, 4));
+            }).toThrow();
+        });
+        it("errors when the size does not match the value", () => {
+            expect(() => {
+                serializer.fromFrame(Buffer.from("03007400", "hex"));
+            }).toThrow();
+        });
+        it("errors when the value is longer than the frame", () => {
+            var err;
+
+            //                                      4 0 s 5 A
+            err = errorOf(() => serializer.fromFrame(Buffer.from("0400730541", "hex")));
+            expect(err instanceof BufferSerializer.InvalidDataError).toBe(true);
+        });
+    });
+    describe("steps", () => {
+        var data;
+
+        /**
+         * Runs toBufferSteps() to the end.
+         *
+         * @param {*} thing
+         * @return {{buff: Buffer, pauses: number}}
+         */
+        function runSteps(thing) {
+            var buffWriter, pauses, steps;
+
+            buffWriter = new BufferWriter();
+            pauses = 0;
+            steps = serializer.toBufferSteps(thing, buffWriter);
+
+            while (!steps.next().done) {
+                pauses += 1;
+            }
+
+            return {
+                buff: buffWriter.toBuffer(),
+                pauses: pauses
+            };
+        }
+
+        beforeEach(() => {
+            var shared, sparse;
+
+            shared = {
+                name: "shared"
+            };
+            sparse = [ 1 ];
+            sparse[3] = 4;
+            data = {
+                list: [
+                    shared,
+                    {
+                        name: "other"
+                    }
+                ],
+                map: new Map([ [ "a", [ 1, 2 ] ], [ shared, new Set([ shared, "b" ]) ] ]),
+                rows: [
+                    {
+                        id: 1,
+                        tags: [ "x" ]
+                    },
+                    {
+                        id: 2,
+                        tags: [ "y" ]
+                    }
+                ],
+                shared: shared,
+                sparse: sparse,
+                when: new Date(0)
+            };
+        });
+        [
+            {},
+            {
+                references: true
+            },
+            {
+                intern: true,
+                references: true,
+                shapes: true
+            },
+            {
+                shapes: true,
+                version: 0
+            }
+        ].forEach((options) => {
+            it("writes the same bytes as toBuffer with " + JSON.stringify(options), () => {
+                var result;
+
+                serializer = new serializer.constructor(options);
+                result = runSteps(data);
+                expect(result.buff.toString("hex")).toBe(serializer.toBuffer(data).toString("hex"));
+                expect(result.pauses).toBeGreaterThan(10);
+            });
+        });
+        itDecompresses("writes compressed and checksummed values at once", () => {
+            var result;
+
+            serializer = new serializer.constructor({
+                checksum: true,
+                compression: "deflate",
+                compressionThreshold: 0
+            });
+            result = runSteps(data);
+            expect(result.pauses).toBe(0);
+            expect(serializer.fromBuffer(result.buff)).toEqual(serializer.fromBuffer(serializer.toBuffer(data)));
+        });
+    });
+    describe("arrays", () => {
+        it("keeps holes separate from undefined values", () => {
+            var a, result;
+
+            a = [ undefined ];
+            a[2] = undefined;
+            a.length = 5;
+            result = serializer.fromBuffer(serializer.toBuffer(a));
+            expect(result.length).toBe(5);
+            expect(Object.keys(result)).toEqual([
+                "0",
+                "2"
+            ]);
+            expect(result[0]).toBe(undefined);
+            expect(result[2]).toBe(undefined);
+        });
+    });
+    describe("custom objects", () => {
+        var Klass;
+
+        beforeEach(() => {
+            Klass = function testClass(val) {
+                this.val = val;
+            };
+            Klass.prototype.getVal = function () {
+                return this.val;
+            };
+            serializer.register("Klass", (thing) => {
+                return thing instanceof Klass;
+            }, (thing, bufferWriter) => {
+                bufferWriter.size(thing.getVal());
+            }, (bufferReader) => {
+                return new Klass(bufferReader.size());
+            });
+        });
+        it("serializes a custom class", () => {
+            var buff, k;
+
+            k = new Klass(2);
+            buff = serializer.toBuffer(k);
+            expect(buff).toEqual(jasmine.any(Buffer));
+            expect(buff.toString("hex").toUpperCase()).toEqual("005A054B6C61737302");
+        });
+        it("deserializes a custom class", () => {
+            var k;
+
+            k = serializer.fromBuffer(Buffer.from("005A054B6C61737302", "hex"));
+            expect(k).toEqual(jasmine.any(Klass));
+            expect(k.getVal()).toEqual(2);
+        });
+        it("passes the serializer to the helper functions", () => {
+            var args, spy;
+
+            args = [];
+            spy = {};
+            serializer.register("Spy", (thing) => {
+                return thing === spy;
+            }, function () {
+                args.push(Array.from(arguments));
+            }, function () {
+                args.push(Array.from(arguments));
+
+                return "spied";
+            });
+            expect(serializer.fromBuffer(serializer.toBuffer(spy))).toBe("spied");
+            expect(args[0].length).toBe(3);
+            expect(args[0][1]).toEqual(jasmine.any(Object));
+            expect(args[0][2]).toBe(serializer);
+            expect(args[1].length).toBe(2);
+            expect(args[1][1]).toBe(serializer);
+        });
+        it("writes nested values with the serializer", () => {
+            var Box, box, result;
+
+            Box = function Box(contents) {
+                this.contents = contents;
+            };
+            serializer.register("Box", (thing) => {
+                return thing instanceof Box;
+            }, (thing, bufferWriter, ser) => {
+                ser.toBufferInternal(thing.contents, bufferWriter);
+            }, (bufferReader, ser) => {
+                return new Box(ser.fromBufferInternal(bufferReader));
+            });
+            box = new Box({
+                list: [
+                    new Klass(3),
+                    new Box("inner")
+                ],
+                when: new Date(1000)
+            });
+            result = serializer.fromBuffer(serializer.toBuffer(box));
+            expect(result).toEqual(box);
+            expect(result.contents.list[0]).toEqual(jasmine.any(Klass));
+            expect(result.contents.list[1]).toEqual(jasmine.any(Box));
+        });
+        it("writes the tag instead of the name", () => {
+            var Tagged;
+
+            Tagged = function Tagged() {};
+            serializer.register("Tagged", (thing) => {
+                return thing instanceof Tagged;
+            }, (thing, bufferWriter) => {
+                bufferWriter.uint8(7);
+            }, (bufferReader) => {
+                bufferReader.uint8();
+
+                return new Tagged();
+            }, {
+                tag: 200
+            });
+            //                                                                              h z =tag=07
+            expect(serializer.toBuffer(new Tagged()).toString("hex").toUpperCase()).toBe("007A80C807");
+            expect(serializer.fromBuffer(Buffer.from("007A80C807", "hex"))).toEqual(jasmine.any(Tagged));
+            //                                                                h Z n =Tagged=====07
+            expect(serializer.fromBuffer(Buffer.from("005A0654616767656407", "hex"))).toEqual(jasmine.any(Tagged));
+        });
+        it("writes the largest tag", () => {
+            var Big;
+
+            Big = function Big() {};
+            serializer.register("Big", null, () => {}, () => {
+                return new Big();
+            }, {
+                Ctor: Big,
+                tag: 0x1FFFFFFE
+            });
+            //                                                                         h z =tag=====
+            expect(serializer.toBuffer(new Big()).toString("hex").toUpperCase()).toBe("007ADFFFFFFE");
+            expect(serializer.fromBuffer(serializer.toBuffer(new Big()))).toEqual(jasmine.any(Big));
+        });
+        it("errors with an unknown tag", () => {
+            var BufferSerializer, err;
+
+            BufferSerializer = require("../");
+
+            err = errorOf(() => {
+                serializer.fromBuffer(Buffer.from("007A0507", "hex"));
+            });
+
+            expect(err instanceof BufferSerializer.UnknownHelperError).toBe(true);
+            expect(err.helperName).toBe(5);
+        });
+        it("finds helpers by constructor without calling checkFn", () => {
+            var calls, Other, Plain;
+
+            calls = 0;
+            Plain = function Plain() {};
+            Other = function Other() {};
+            serializer.register("Any", (thing) => {
+                calls += 1;
+
+                return thing instanceof Other;
+            }, (thing, bufferWriter) => {
+                bufferWriter.uint8(1);
+            }, (bufferReader) => {
+                bufferReader.uint8();
+
+                return new Other();
+            });
+            serializer.register("Plain", null, (thing, bufferWriter) => {
+                bufferWriter.uint8(2);
+            }, (bufferReader) => {
+                bufferReader.uint8();
+
+                return new Plain();
+            }, {
+                Ctor: Plain,
+                tag: 1
+            });
+            //                                                                             h z t 02
+            expect(serializer.toBuffer(new Plain()).toString("hex").toUpperCase()).toBe("007A0102");
+            expect(calls).toBe(0);
+            expect(serializer.fromBuffer(serializer.toBuffer(new Other()))).toEqual(jasmine.any(Other));
+            expect(calls).toBe(1);
+        });
+        it("errors when registering invalid or duplicate helpers", () => {
+            var check, noop, Thing;
+
+            check = () => {
+                return false;
+            };
+            noop = () => {};
+            Thing = function Thing() {};
+            serializer.register("Tag", check, noop, noop, {
+                tag: 3
+            });
+            serializer.register("Ctor", null, noop, noop, {
+                Ctor: Thing
+            });
+            [
+                [
+                    [ "Klass", check, noop, noop ],
+                    "Helper name is already registered: Klass"
+                ],
+                [
+                    [ "Other", check, noop, noop, { tag: 3 } ],
+                    "Helper tag is already registered: 3"
+                ],
+                [
+                    [ "Other", null, noop, noop, { Ctor: Thing } ],
+                    "Helper constructor is already registered: Other"
+                ],
+                [
+                    [ "Other", check, noop, noop, { tag: -1 } ],
+                    "Helper tag must be an integer from 0 to 536870910: -1"
+                ],
+                [
+                    [ "Other", check, noop, noop, { tag: 0x1FFFFFFF } ],
+                    "Helper tag must be an integer from 0 to 536870910: 536870911"
+                ],
+                [
+                    [ "Other", check, noop, noop, { tag: 1.5 } ],
+                    "Helper tag must be an integer from 0 to 536870910: 1.5"
+                ],
+                [
+                    [ "Other", null, noop, noop, { Ctor: {} } ],
+                    "Ctor must be a class or a constructor function"
+                ],
+                [
+                    [ "Other", null, noop, noop ],
+                    "Helper needs a checkFn or a Ctor: Other"
+                ],
+                [
+                    [ 1, check, noop, noop ],
+                    "Helper name must be a string"
+                ]
+            ].forEach((scenario) => {
+                expect(() => {
+                    serializer.register.apply(serializer, scenario[0]);
+                }).toThrow(new Error(scenario[1]));
+            });
+            expect(serializer.helpers.length).toBe(3);
+        });
+        it("reports the path of nested values", () => {
+            var BufferSerializer, err;
+
+            BufferSerializer = require("../");
+            serializer = new BufferSerializer();
+            serializer.register("Wrap", (thing) => {
+                return thing instanceof Map;
+            }, (thing, bufferWriter, ser) => {
+                ser.toBufferInternal({
+                    bad: Symbol("bad")
+                }, bufferWriter);
+            }, () => {});
+
+            err = errorOf(() => {
+                serializer.toBuffer([
+                    new Map()
+                ]);
+            });
+
+            expect(err instanceof BufferSerializer.UnsupportedTypeError).toBe(true);
+            expect(err.path).toEqual([
+                0,
+                "bad"
+            ]);
+        });
+    });
+    describe("registered classes", () => {
+        var BufferSerializer, constructed, Point, Temperature;
+
+        beforeEach(() => {
+            BufferSerializer = require("../");
+            serializer = new BufferSerializer();
+            constructed = 0;
+            Point = class {
+                constructor(x, y) {
+                    constructed += 1;
+                    this.x = x;
+                    this.y = y;
+                }
+
+                length() {
+                    return Math.sqrt(this.x * this.x + this.y * this.y);
+                }
+            };
+            Temperature = class {
+                constructor(kelvin) {
+                    this.kelvin = kelvin;
+                }
+            };
+            serializer.registerClass("P", Point);
+        });
+        it("writes the properties after the name", () => {
+            //                                                                                h Z n P s x + 3 s y + 4 !
+            expect(serializer.toBuffer(new Point(3, 4)).toString("hex").toUpperCase()).toBe("005A01507301782B037301792B0421");
+        });
+        it("restores the prototype without calling the constructor", () => {
+            var buff, result;
+
+            buff = serializer.toBuffer(new Point(3, 4));
+            result = serializer.fromBuffer(buff);
+            expect(constructed).toBe(1);
+            expect(Object.getPrototypeOf(result)).toBe(Point.prototype);
+            expect(result.length()).toBe(5);
+            expect(Object.keys(result)).toEqual([
+                "x",
+                "y"
+            ]);
+        });
+        it("encodes properties with the normal encoder", () => {
+            var point, result;
+
+            serializer.registerClass("T", Temperature);
+            point = new Point(new Temperature(300), [
+                new Map([
+                    [
+                        "a",
+                        new Point(1, 2)
+                    ]
+                ])
+            ]);
+            result = serializer.fromBuffer(serializer.toBuffer(point));
+            expect(result).toEqual(point);
+            expect(result.x instanceof Temperature).toBe(true);
+            expect(result.y[0].get("a").length()).toBe(Math.sqrt(5));
+        });
+        it("does not match subclasses", () => {
+            var result;
+
+            class Point3 extends Point {}
+
+            result = serializer.fromBuffer(serializer.toBuffer(new Point3(1, 2)));
+            expect(Object.getPrototypeOf(result)).toBe(Object.prototype);
+        });
+        it("keeps shared and circular instances with references", () => {
+            var a, b, result;
+
+            serializer = new BufferSerializer({
+                references: true
+            });
+            serializer.registerClass("P", Point);
+            a = new Point(1, 2);
+            b = new Point(a, null);
+            b.y = b;
+            result = serializer.fromBuffer(serializer.toBuffer([
+                a,
+                b,
+                {
+                    a: a
+                }
+            ]));
+            expect(result[1].x).toBe(result[0]);
+            expect(result[1].y).toBe(result[1]);
+            expect(result[2].a).toBe(result[0]);
+            expect(result[0] instanceof Point).toBe(true);
+        });
+        it("uses the hooks", () => {
+            var result;
+
+            serializer.registerClass("T", Temperature, {
+                fromSerializable: (celsius) => {
+                    return new Temperature(celsius + 273);
+                },
+                toSerializable: (temperature) => {
+                    return temperature.kelvin - 273;
+                }
+            });
+            //                                                                                     h Z n T + 27
+            expect(serializer.toBuffer(new Temperature(300)).toString("hex").toUpperCase()).toBe("005A01542B1B");
+            result = serializer.fromBuffer(serializer.toBuffer([
+                new Temperature(300),
+                new Point(1, 2)
+            ]));
+            expect(result[0] instanceof Temperature).toBe(true);
+            expect(result[0].kelvin).toBe(300);
+            expect(result[1].length()).toBe(Math.sqrt(5));
+        });
+        it("uses only one of the hooks", () => {
+            var fromOnly, result, toOnly;
+
+            fromOnly = new BufferSerializer();
+            fromOnly.registerClass("T", Temperature, {
+                fromSerializable: (data) => {
+                    return new Temperature(data.kelvin + 1);
+                }
+            });
+            expect(fromOnly.fromBuffer(fromOnly.toBuffer(new Temperature(300))).kelvin).toBe(301);
+            toOnly = new BufferSerializer();
+            toOnly.registerClass("T", Temperature, {
+                toSerializable: (temperature) => {
+                    return {
+                        kelvin: temperature.kelvin - 1
+                    };
+                }
+            });
+            result = toOnly.fromBuffer(toOnly.toBuffer(new Temperature(300)));
+            expect(result instanceof Temperature).toBe(true);
+            expect(result.kelvin).toBe(299);
+        });
+        it("keeps references consistent with hooks", () => {
+            var result, shared, t;
+
+            serializer = new BufferSerializer({
+                references: true
+            });
+            serializer.registerClass("T", Temperature, {
+                fromSerializable: (data) => {
+                    return new Temperature(data.k);
+                },
+                toSerializable: (temperature) => {
+                    return {
+                        k: temperature.kelvin
+                    };
+                }
+            });
+            shared = {
+                name: "shared"
+            };
+            t = new Temperature(300);
+            result = serializer.fromBuffer(serializer.toBuffer([
+                t,
+                shared,
+                t,
+                shared
+            ]));
+            expect(result[0].kelvin).toBe(300);
+            expect(result[2]).toBe(result[0]);
+            expect(result[3]).toBe(result[1]);
+            expect(result[1]).toEqual(shared);
+        });
+        it("decodes __proto__ as a normal property", () => {
+            var result;
+
+            //                                            h Z n P s =__proto__======== + 1 !
+            result = serializer.fromBuffer(Buffer.from("005A015073095F5F70726F746F5F5F2B0121", "hex"));
+            expect(Object.getPrototypeOf(result)).toBe(Point.prototype);
+            expect(Object.keys(result)).toEqual([
+                "__proto__"
+            ]);
+        });
+        it("writes the tag", () => {
+            serializer.registerClass("Tagged", Temperature, {
+                tag: 0
+            });
+            //                                                                                   h z t s =kelvin=====+ 5 !
+            expect(serializer.toBuffer(new Temperature(5)).toString("hex").toUpperCase()).toBe("007A0073066B656C76696E2B0521");
+            expect(serializer.fromBuffer(serializer.toBuffer(new Temperature(5))).kelvin).toBe(5);
+            expect(() => {
+                serializer.registerClass("Again", Temperature);
+            }).toThrow(new Error("Helper constructor is already registered: Again"));
+        });
+        it("errors without a constructor", () => {
+            expect(() => {
+                serializer.registerClass("X", {});
+            }).toThrow(new Error("Ctor must be a class or a constructor function"));
+            expect(() => {
+                serializer.registerClass("X", () => {});
+            }).toThrow(new Error("Ctor must be a class or a constructor function"));
+        });
+    });
+    describe("helpers replacing built-in encoders", () => {
+        var BufferSerializer;
+
+        beforeEach(() => {
+            BufferSerializer = require("../");
+            serializer = new BufferSerializer();
+        });
+        it("writes Dates as ISO strings", () => {
+            var date;
+
+            serializer.register("D", (thing) => {
+                return thing instanceof Date;
+            }, (thing, bufferWriter, ser) => {
+                ser.toBufferInternal(thing.toISOString(), bufferWriter);
+            }, (bufferReader, ser) => {
+                return new Date(ser.fromBufferInternal(bufferReader));
+            }, {
+                tag: 1
+            });
+            date = new Date(Date.UTC(2020, 0, 2, 3, 4, 5, 6));
+            expect(serializer.toBuffer(date).toString("latin1")).toBe("\u0000z\u0001s\u00182020-01-02T03:04:05.006Z");
+            expect(serializer.fromBuffer(serializer.toBuffer(date))).toEqual(date);
+        });
+        it("writes numbers as float32", () => {
+            var result;
+
+            serializer.register("f", (thing) => {
+                return !Number.isInteger(thing);
+            }, (thing, bufferWriter) => {
+                var buff;
+
+                buff = Buffer.alloc(4);
+                buff.writeFloatBE(thing);
+                bufferWriter.buffer(buff);
+            }, (bufferReader) => {
+                return bufferReader.buffer(4).readFloatBE(0);
+            }, {
+                tag: 2,
+                type: "number"
+            });
+            //                                                                 h z t =float32=
+            expect(serializer.toBuffer(1.5).toString("hex").toUpperCase()).toBe("007A023FC00000");
+            //                                                                 h + 1
+            expect(serializer.toBuffer(1).toString("hex").toUpperCase()).toBe("002B01");
+            result = serializer.fromBuffer(serializer.toBuffer({
+                a: 0.1,
+                b: 2
+            }));
+            expect(result.a).toBeCloseTo(0.1, 6);
+            expect(result.a).not.toBe(0.1);
+            expect(result.b).toBe(2);
+        });
+        itDecompresses("intercepts arrays, strings and symbols", () => {
+            var result, types;
+
+            types = [];
+            serializer.register("Pair", (thing) => {
+                return thing.length === 2;
+            }, (thing, bufferWriter, ser) => {
+                types.push("array");
+                ser.toBufferInternal(thing[0], bufferWriter);
+                ser.toBufferInternal(thing[1], bufferWriter);
+            }, (bufferReader, ser) => {
+                return [
+                    ser.fromBufferInternal(bufferReader),
+                    ser.fromBufferInternal(bufferReader)
+                ];
+            });
+            serializer.register("Upper", (thing) => {
+                return thing === thing.toUpperCase();
+            }, (thing, bufferWriter) => {
+                types.push("string");
+                bufferWriter.size(thing.length);
+                bufferWriter.string(thing.toLowerCase());
+            }, (bufferReader) => {
+                return bufferReader.string(bufferReader.size()).toUpperCase();
+            }, {
+                type: "string"
+            });
+            serializer.register("Symbol", () => {
+                return true;
+            }, (thing, bufferWriter, ser) => {
+                types.push("symbol");
+                ser.toBufferInternal(thing.description, bufferWriter);
+            }, (bufferReader, ser) => {
+                return Symbol.for(ser.fromBufferInternal(bufferReader));
+            }, {
+                type: "symbol"
+            });
+            result = serializer.fromBuffer(serializer.toBuffer({
+                ABC: [
+                    "XY",
+                    Symbol.for("s")
+                ],
+                list: [
+                    1,
+                    2,
+                    3
+                ]
+            }));
+            expect(result).toEqual({
+                ABC: [
+                    "XY",
+                    Symbol.for("s")
+                ],
+                list: [
+                    1,
+                    2,
+                    3
+                ]
+            });
+            expect(types).toEqual([
+                "array",
+                "string",
+                "symbol"
+            ]);
+        });
+        it("does not give null or property names to helpers", () => {
+            var checked;
+
+            checked = [];
+            serializer.register("Object", (thing) => {
+                checked.push(thing);
+
+                return false;
+            }, () => {}, () => {});
+            serializer.register("String", (thing) => {
+                checked.push(thing);
+
+                return false;
+            }, () => {}, () => {}, {
+                type: "string"
+            });
+            serializer.toBuffer({
+                key: null
+            });
+            expect(checked.length).toBe(1);
+            expect(Object.keys(checked[0])).toEqual([
+                "key"
+            ]);
+        });
+        it("only changes the serializer it was registered with", () => {
+            var other;
+
+            serializer.register("Bool", () => {
+                return true;
+            }, (thing, bufferWriter) => {
+                bufferWriter.uint8(thing ? 1 : 0);
+            }, (bufferReader) => {
+                return bufferReader.uint8() === 1;
+            }, {
+                tag: 0,
+                type: "boolean"
+            });
+            other = new BufferSerializer();
+            //                                                                  h z t 1
+            expect(serializer.toBuffer(true).toString("hex").toUpperCase()).toBe("007A0001");
+            //                                                             h t
+            expect(other.toBuffer(true).toString("hex").toUpperCase()).toBe("0074");
+            expect(serializer.fromBuffer(other.toBuffer(true))).toBe(true);
+            expect(() => {
+                other.fromBuffer(serializer.toBuffer(true));
+            }).toThrow();
+        });
+        it("errors with an invalid type", () => {
+            var noop;
+
+            noop = () => {};
+            expect(() => {
+                serializer.register("Date", noop, noop, noop, {
+                    type: "date"
+                });
+            }).toThrow(new Error("Helper type must be a result of typeof: date"));
+            expect(() => {
+                serializer.register("Date", null, noop, noop, {
+                    Ctor: Date,
+                    type: "string"
+                });
+            }).toThrow(new Error("Helper with a Ctor must have the object type: Date"));
         });
     });
 });
@@ -0,0 +1,261 @@
+"use strict";
+/*global Map, Set*/
+
+describe("StreamDecoder", () => {
+    var BufferReader, serializer, StreamDecoder;
+
+    beforeEach(() => {
+        var BufferSerializer, errors;
+
+        BufferSerializer = require("../");
+        serializer = new BufferSerializer();
+        errors = require("../lib/errors")();
+        BufferReader = require("../lib/buffer-reader")(errors);
+        StreamDecoder = require("../lib/stream-decoder")(BufferReader, errors);
+    });
+    it("exports a class", () => {
+        expect(StreamDecoder).toEqual(jasmine.any(Function));
+    });
+    it("is created by the serializer", () => {
+        var decoder;
+
+        decoder = serializer.createDecoder();
+        expect(decoder.feed).toEqual(jasmine.any(Function));
+        expect(decoder.end).toEqual(jasmine.any(Function));
+    });
+    it("decodes several values in one chunk", () => {
+        var decoder;
+
+        decoder = new StreamDecoder(serializer);
+        expect(decoder.feed(Buffer.concat([
+            serializer.toBuffer("one"),
+            serializer.toBuffer(null),
+            serializer.toBuffer(undefined),
+            serializer.toBuffer([ 2 ])
+        ]))).toEqual([
+            "one",
+            null,
+            undefined,
+            [ 2 ]
+        ]);
+        expect(() => {
+            decoder.end();
+        }).not.toThrow();
+    });
+    it("decodes nested values fed one byte at a time", () => {
+        var buff, data, decoder, i, result;
+
+        data = {
+            list: [
+                1,
+                "two",
+                {
+                    three: Buffer.from("3")
+                }
+            ],
+            map: new Map([ [ 4, 1.5 ] ])
+        };
+        buff = Buffer.concat([
+            serializer.toBuffer(data),
+            serializer.toBuffer(true)
+        ]);
+        decoder = new StreamDecoder(serializer);
+        result = [];
+
+        for (i = 0; i < buff.length; i += 1) {
+            result = result.concat(decoder.feed(buff.slice(i, i + 1)));
+        }
+
+        expect(result.length).toBe(2);
+        expect(result[0].list[2].three.toString()).toBe("3");
+        expect(result[0].map.get(4)).toBe(1.5);
+        expect(result[1]).toBe(true);
+    });
+    it("keeps partial values until more data arrives", () => {
+        var buff, decoder;
+
+        buff = serializer.toBuffer("a longer string");
+        decoder = new StreamDecoder(serializer);
+        expect(decoder.feed(buff.slice(0, 5))).toEqual([]);
+        expect(() => {
+            decoder.end();
+        }).toThrow();
+        expect(decoder.feed(buff.slice(5))).toEqual([
+            "a longer string"
+        ]);
+    });
+    it("decodes frames fed one byte at a time", () => {
+        var buff, decoder, i, result;
+
+        buff = serializer.toFrames([
+            "first",
+            [
+                {
+                    second: 2
+                }
+            ]
+        ]);
+        decoder = new StreamDecoder(serializer, {
+            framed: true
+        });
+        result = [];
+
+        for (i = 0; i < buff.length; i += 1) {
+            result = result.concat(decoder.feed(buff.slice(i, i + 1)));
+        }
+
+        expect(result).toEqual([
+            "first",
+            [
+                {
+                    second: 2
+                }
+            ]
+        ]);
+        expect(() => {
+            decoder.end();
+        }).not.toThrow();
+    });
+    it("waits for the rest of a long string before decoding again", () => {
+        var buff, decoder, i, result;
+
+        buff = serializer.toBuffer("x".repeat(10000));
+        spyOn(serializer, "fromBufferInternal").andCallThrough();
+        decoder = new StreamDecoder(serializer);
+        result = [];
+
+        for (i = 0; i < buff.length; i += 100) {
+            result = result.concat(decoder.feed(buff.slice(i, i + 100)));
+        }
+
+        expect(result).toEqual([
+            "x".repeat(10000)
+        ]);
+        expect(serializer.fromBufferInternal.callCount).toBe(2);
+    });
+    it("continues a large array from the element that was cut off", () => {
+        var buff, data, decoder, i, result;
+
+        data = [];
+
+        while (data.length < 1000) {
+            data.push("abc");
+        }
+
+        buff = serializer.toBuffer(data);
+        spyOn(serializer, "fromBufferInternal").andCallThrough();
+        decoder = new StreamDecoder(serializer);
+        result = [];
+
+        for (i = 0; i < buff.length; i += 7) {
+            result = result.concat(decoder.feed(buff.slice(i, i + 7)));
+        }
+
+        expect(result).toEqual([
+            data
+        ]);
+
+        // Once per element and once per chunk that cut one off
+        expect(serializer.fromBufferInternal.callCount).toBeLessThan(2000);
+    });
+    it("continues with references, interning and shapes", () => {
+        var buff, data, decoder, i, result, shared, sparse;
+
+        serializer = new serializer.constructor({
+            intern: true,
+            references: true,
+            shapes: true
+        });
+        shared = {
+            name: "shared"
+        };
+        sparse = [ 1 ];
+        sparse[4] = "five";
+        data = {
+            map: new Map([ [ shared, new Set([ shared, "x" ]) ] ]),
+            rows: [
+                {
+                    id: 1,
+                    name: "one"
+                },
+                {
+                    id: 2,
+                    name: "two"
+                }
+            ],
+            shared: shared,
+            sparse: sparse
+        };
+        buff = serializer.toBuffer(data);
+        decoder = new StreamDecoder(serializer);
+        result = [];
+
+        for (i = 0; i < buff.length; i += 1) {
+            result = result.concat(decoder.feed(buff.slice(i, i + 1)));
+        }
+
+        expect(result).toEqual([
+            serializer.fromBuffer(buff)
+        ]);
+        expect(result[0].map.keys().next().value).toBe(result[0].shared);
+        expect(result[0].map.get(result[0].shared).has(result[0].shared)).toBe(true);
+    });
+    it("decodes a frame once after all of it arrived", () => {
+        var buff, data, decoder, i, result;
+
+        data = [];
+
+        while (data.length < 1000) {
+            data.push({
+                index: data.length
+            });
+        }
+
+        buff = serializer.toFrame(data);
+        spyOn(serializer, "fromBufferReader").andCallThrough();
+        decoder = new StreamDecoder(serializer, {
+            framed: true
+        });
+        result = [];
+
+        for (i = 0; i < buff.length; i += 64) {
+            result = result.concat(decoder.feed(buff.slice(i, i + 64)));
+        }
+
+        expect(result).toEqual([
+            data
+        ]);
+        expect(serializer.fromBufferReader.callCount).toBe(1);
+    });
+    it("errors when a frame is too short for its value", () => {
+        var decoder;
+
+        decoder = new StreamDecoder(serializer, {
+            framed: true
+        });
+
+        // Frame of 4 bytes holding a string that claims 5 bytes
+        expect(() => {
+            decoder.feed(Buffer.from("0400730541", "hex"));
+        }).toThrow(new Error("Frame size does not match its value"));
+    });
+    it("errors with data that can not be decoded", () => {
+        var decoder;
+
+        decoder = new StreamDecoder(serializer);
+        expect(() => {
+            decoder.feed(Buffer.from("0F74", "hex"));
+        }).toThrow();
+    });
+    it("errors instead of waiting when a size is over a limit", () => {
+        var decoder;
+
+        decoder = serializer.createDecoder({
+            maxStringLength: 100
+        });
+        expect(() => {
+            // A string claiming to be 0x1FFFFFFF bytes long
+            decoder.feed(Buffer.from("0073DFFFFFFF", "hex"));
+        }).toThrow(new Error("Limit exceeded: maxStringLength"));
+    });
+});
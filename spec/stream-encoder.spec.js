@@ -0,0 +1,243 @@
+"use strict";
+/*global Symbol*/
+
+describe("StreamEncoder", () => {
+    var BufferSerializer, serializer, StreamEncoder, stream;
+
+    /**
+     * Makes a writable stream that remembers every chunk.  When holding,
+     * chunks are only accepted when accept() is called, which lets the
+     * tests fill up the stream.
+     *
+     * @param {number} highWaterMark
+     * @param {boolean} [hold=false]
+     * @return {stream.Writable}
+     */
+    function makeWritable(highWaterMark, hold) {
+        var pending, writable;
+
+        pending = [];
+        writable = new stream.Writable({
+            highWaterMark: highWaterMark,
+            write: (chunk, encoding, callback) => {
+                writable.chunks.push(chunk);
+
+                if (hold) {
+                    pending.push(callback);
+                } else {
+                    callback();
+                }
+            }
+        });
+        writable.chunks = [];
+        writable.accept = () => {
+            while (pending.length) {
+                pending.shift()();
+            }
+        };
+
+        return writable;
+    }
+
+    beforeEach(() => {
+        stream = require("stream");
+        BufferSerializer = require("../");
+        serializer = new BufferSerializer();
+        StreamEncoder = require("../lib/stream-encoder")(require("../lib/buffer-writer")(require("../lib/errors")()));
+    });
+    it("exports a class", () => {
+        expect(StreamEncoder).toEqual(jasmine.any(Function));
+    });
+    it("is created by the serializer", () => {
+        var encoder;
+
+        encoder = serializer.createEncoder(makeWritable(1000));
+        expect(encoder.write).toEqual(jasmine.any(Function));
+        expect(encoder.end).toEqual(jasmine.any(Function));
+    });
+    it("writes the same bytes as toBuffer in several chunks", () => {
+        var data, encoder, writable;
+
+        data = {
+            list: [
+                "a string that is somewhat long",
+                12345678,
+                Buffer.alloc(40, 1)
+            ],
+            nested: {
+                key: "value"
+            }
+        };
+        writable = makeWritable(100000);
+        encoder = new StreamEncoder(serializer, writable, {
+            chunkSize: 16
+        });
+        encoder.write(data);
+        encoder.write(null);
+        expect(writable.chunks.length).toBeGreaterThan(2);
+        expect(Buffer.concat(writable.chunks).toString("hex")).toBe(Buffer.concat([
+            serializer.toBuffer(data),
+            serializer.toBuffer(null)
+        ]).toString("hex"));
+    });
+    it("does not send any of a value that can not be encoded", () => {
+        var encoder, writable;
+
+        writable = makeWritable(100000);
+        encoder = new StreamEncoder(serializer, writable);
+        expect(() => {
+            encoder.write({
+                a: "x".repeat(40),
+                b: Symbol("b")
+            });
+        }).toThrow();
+        encoder.write("ok");
+        expect(writable.destroyed).toBe(false);
+        expect(Buffer.concat(writable.chunks).toString("hex")).toBe(serializer.toBuffer("ok").toString("hex"));
+    });
+    it("destroys the stream when part of the value was sent", () => {
+        var encoder, error, writable;
+
+        writable = makeWritable(100000);
+        writable.on("error", (err) => {
+            error = err;
+        });
+        encoder = new StreamEncoder(serializer, writable, {
+            chunkSize: 16
+        });
+        expect(() => {
+            encoder.write({
+                a: "x".repeat(40),
+                b: Symbol("b")
+            });
+        }).toThrow();
+        expect(writable.destroyed).toBe(true);
+        waitsFor(() => {
+            return error;
+        });
+        runs(() => {
+            expect(error instanceof BufferSerializer.UnsupportedTypeError).toBe(true);
+        });
+    });
+    it("pauses inside a value until the stream drains", () => {
+        var called, data, encoder, finished, i, writable;
+
+        data = [];
+
+        for (i = 0; i < 1000; i += 1) {
+            data.push({
+                name: "x".repeat(50),
+                list: [ i ]
+            });
+        }
+
+        called = false;
+        finished = false;
+        writable = makeWritable(1024, true);
+        encoder = new StreamEncoder(serializer, writable, {
+            chunkSize: 1024
+        });
+        encoder.write(data, () => {
+            called = true;
+        });
+        encoder.write("next");
+        encoder.end(() => {
+            finished = true;
+        });
+        expect(serializer.toBuffer(data).length).toBeGreaterThan(60000);
+        expect(writable.writableLength).toBeLessThan(4096);
+        expect(called).toBe(false);
+        waitsFor(() => {
+            writable.accept();
+
+            return finished;
+        });
+        runs(() => {
+            expect(called).toBe(true);
+            expect(Buffer.concat(writable.chunks).toString("hex")).toBe(Buffer.concat([
+                serializer.toBuffer(data),
+                serializer.toBuffer("next")
+            ]).toString("hex"));
+        });
+    });
+    it("passes errors to the callback after pausing", () => {
+        var data, encoder, error, result, writable;
+
+        data = [];
+
+        while (data.length < 20) {
+            data.push("abcdefgh");
+        }
+
+        data.push(Symbol("bad"));
+        writable = makeWritable(16, true);
+        writable.on("error", (err) => {
+            error = err;
+        });
+        encoder = new StreamEncoder(serializer, writable, {
+            chunkSize: 16
+        });
+        encoder.write(data, (err) => {
+            result = err;
+        });
+        waitsFor(() => {
+            writable.accept();
+
+            return result && error;
+        });
+        runs(() => {
+            expect(result instanceof BufferSerializer.UnsupportedTypeError).toBe(true);
+            expect(error).toBe(result);
+            expect(writable.destroyed).toBe(true);
+        });
+    });
+    it("writes frames", () => {
+        var encoder, writable;
+
+        writable = makeWritable(100000);
+        encoder = new StreamEncoder(serializer, writable, {
+            framed: true
+        });
+        encoder.write("one");
+        encoder.write([ 2 ]);
+        expect(Buffer.concat(writable.chunks).toString("hex")).toBe(serializer.toFrames([
+            "one",
+            [ 2 ]
+        ]).toString("hex"));
+    });
+    it("calls back right away when the stream has room", () => {
+        var called, encoder, writable;
+
+        called = false;
+        writable = makeWritable(1000);
+        encoder = new StreamEncoder(serializer, writable);
+        encoder.write("small", () => {
+            called = true;
+        });
+        waitsFor(() => {
+            return called;
+        });
+    });
+    it("waits for the stream to drain", () => {
+        var called, encoder, writable;
+
+        called = false;
+        writable = makeWritable(10, true);
+        encoder = new StreamEncoder(serializer, writable, {
+            chunkSize: 4
+        });
+        encoder.write("more than ten bytes", () => {
+            called = true;
+        });
+        waits(10);
+        runs(() => {
+            expect(called).toBe(false);
+            writable.accept();
+        });
+        waitsFor(() => {
+            writable.accept();
+
+            return called;
+        });
+    });
+});
@@ -0,0 +1,209 @@
+"use strict";
+/*global BigInt, Map, Set, Uint16Array*/
+
+/**
+ * Buffers that were written by version 0 of the format.  They must
+ * always decode to the same values, and serializers that write version
+ * 0 must keep writing exactly these bytes.
+ */
+describe("version 0 compatibility", () => {
+    var BufferSerializer;
+
+    beforeEach(() => {
+        BufferSerializer = require("../");
+    });
+    [
+        {
+            hex: "00730568656C6C6F",
+            name: "string",
+            raw: () => "hello"
+        },
+        {
+            hex: "007304636166E9",
+            name: "latin-1 string",
+            raw: () => "café"
+        },
+        {
+            hex: "005508736E6F7720E29883",
+            name: "UTF-8 string",
+            raw: () => "snow ☃"
+        },
+        {
+            hex: "00612B002D0170012C49000111706441F2A05F2000000064C1F2A05F20000000643FF8000000000000648000000000000000647FF000000000000021",
+            name: "numbers",
+            raw: () => [
+                0,
+                -1,
+                300,
+                -70000,
+                5000000000,
+                -5000000000,
+                1.5,
+                -0,
+                Infinity
+            ]
+        },
+        {
+            hex: "004F7301612B017301626174666E752121",
+            name: "object",
+            raw: () => {
+                return {
+                    a: 1,
+                    b: [
+                        true,
+                        false,
+                        null,
+                        undefined
+                    ]
+                };
+            }
+        },
+        {
+            hex: "00412B002B012B032B0273017873017921",
+            name: "sparse array",
+            raw: () => {
+                var a;
+
+                a = [
+                    1
+                ];
+                a[3] = 2;
+                a.x = "y";
+
+                return a;
+            }
+        },
+        {
+            hex: "00615400000001440000000101F421",
+            name: "Date",
+            raw: () => [
+                new Date(1000),
+                new Date(1500)
+            ]
+        },
+        {
+            hex: "005203612B6203",
+            name: "RegExp",
+            raw: () => /a+b/gi
+        },
+        {
+            hex: "004203616263",
+            name: "Buffer",
+            raw: () => Buffer.from("abc")
+        },
+        {
+            hex: "00614D2B0173016121537301622121",
+            name: "Map and Set",
+            raw: () => [
+                new Map([
+                    [
+                        1,
+                        "a"
+                    ]
+                ]),
+                new Set([
+                    "b"
+                ])
+            ]
+        },
+        {
+            hex: "0056060401000201",
+            name: "typed array",
+            raw: () => new Uint16Array([
+                1,
+                258
+            ])
+        },
+        {
+            hex: "0061622D020100622B0021",
+            name: "BigInt",
+            raw: () => [
+                BigInt(-256),
+                BigInt(0)
+            ]
+        },
+        {
+            hex: "00614F7301782B0121720121",
+            name: "references",
+            options: {
+                references: true
+            },
+            raw: () => {
+                var shared;
+
+                shared = {
+                    x: 1
+                };
+
+                return [
+                    shared,
+                    shared
+                ];
+            }
+        },
+        {
+            hex: "00614F6B046E616D652B01214F4B002B022121",
+            name: "interned names",
+            options: {
+                intern: true
+            },
+            raw: () => [
+                {
+                    name: 1
+                },
+                {
+                    name: 2
+                }
+            ]
+        },
+        {
+            hex: "004602730161730162022B012B022B032B04",
+            name: "shaped array",
+            options: {
+                shapes: true
+            },
+            raw: () => [
+                {
+                    a: 1,
+                    b: 2
+                },
+                {
+                    a: 3,
+                    b: 4
+                }
+            ]
+        },
+        {
+            hex: "800573036162632315091E",
+            name: "checksum",
+            options: {
+                checksum: true
+            },
+            raw: () => "abc"
+        }
+    ].forEach((fixture) => {
+        describe(fixture.name, () => {
+            var serializer;
+
+            beforeEach(() => {
+                serializer = new BufferSerializer(Object.assign({
+                    version: 0
+                }, fixture.options));
+            });
+            it("decodes", () => {
+                var result;
+
+                result = serializer.fromBuffer(Buffer.from(fixture.hex, "hex"));
+
+                if (Buffer.isBuffer(result)) {
+                    expect(result.equals(fixture.raw())).toBe(true);
+                } else {
+                    expect(result).toEqual(fixture.raw());
+                }
+            });
+            it("encodes", () => {
+                expect(serializer.toBuffer(fixture.raw()).toString("hex").toUpperCase()).toBe(fixture.hex);
+            });
+        });
+    });
+});